@@ -1,39 +1,135 @@
 import Attendance from '../models/Attendance.js';
 import Customer from '../models/Customer.js';
+import { checkIn, checkOut, findOpenVisit, closeStaleVisits } from '../services/attendanceService.js';
+import { verifyCardToken } from '../services/memberCardService.js';
+import { refreshCustomerStatus } from '../services/membershipStatusService.js';
+import { evaluateAccess } from '../services/accessPolicyService.js';
+import { getExportFormat, sendExport, attendanceColumns } from '../services/exportService.js';
+import { recordAudit } from '../services/auditService.js';
+import { gymStartOfDay } from '../utils/gymDate.js';
+
+// Audit a check-in along with the earlier visit it closed, if any
+const auditCheckIn = async (req, { attendance, closedVisit }) => {
+  if (closedVisit) {
+    await recordAudit(req, {
+      action: 'auto_close',
+      entity: 'attendance',
+      entityId: closedVisit._id,
+      customerId: closedVisit.customerId,
+      before: { checkOutTime: null },
+      after: { checkOutTime: closedVisit.checkOutTime, duration: closedVisit.duration, autoClosed: true }
+    });
+  }
+  await recordAudit(req, { action: 'check_in', entity: 'attendance', entityId: attendance._id, customerId: attendance.customerId, after: attendance });
+};
 
 // Mark attendance
 export const markAttendance = async (req, res) => {
   try {
     const { customerId } = req.body;
-    const today = new Date().toISOString().split('T')[0];
 
-    // Check if attendance already marked today
-    const existingAttendance = await Attendance.findOne({
-      customerId,
-      date: today
-    });
+    // Get customer details
+    const customer = await refreshCustomerStatus(await Customer.findById(customerId));
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { attendance, access, closedVisit } = await checkIn(customer);
+    await auditCheckIn(req, { attendance, closedVisit });
+    res.status(201).json({ message: 'Attendance marked successfully!', access, closedVisit });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, access: error.access });
+  }
+};
 
-    if (existingAttendance) {
-      return res.status(400).json({ error: 'Attendance already marked for today' });
+// Self check-in: scan a member card QR code to check in, or check out if already inside
+export const scanAttendance = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const rollNumber = verifyCardToken(token);
+    if (!rollNumber) {
+      return res.status(401).json({ error: 'Invalid member card' });
     }
 
-    // Get customer details
-    const customer = await Customer.findById(customerId);
+    const customer = await refreshCustomerStatus(await Customer.findOne({ rollNumber }));
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const attendance = new Attendance({
-      customerId,
-      customerName: customer.name,
+    const member = {
+      id: customer._id,
+      name: customer.name,
       rollNumber: customer.rollNumber,
-      date: today
-    });
+      status: customer.status,
+      expiryDate: customer.expiryDate,
+      remaining: customer.remaining
+    };
+
+    const openVisit = await findOpenVisit(customer._id);
+    if (openVisit) {
+      const attendance = await checkOut(openVisit);
+      await recordAudit(req, {
+        action: 'check_out',
+        entity: 'attendance',
+        entityId: attendance._id,
+        customerId: attendance.customerId,
+        before: { checkOutTime: null, duration: null },
+        after: { checkOutTime: attendance.checkOutTime, duration: attendance.duration }
+      });
+      return res.json({
+        action: 'check_out',
+        message: `Goodbye ${customer.name}! Time in gym: ${attendance.durationLabel}`,
+        customer: member,
+        attendance
+      });
+    }
 
-    await attendance.save();
-    res.status(201).json({ message: 'Attendance marked successfully!' });
+    try {
+      const { attendance, access, closedVisit } = await checkIn(customer);
+      await auditCheckIn(req, { attendance, closedVisit });
+      res.status(201).json({
+        action: 'check_in',
+        message: `Welcome ${customer.name}!`,
+        customer: member,
+        access,
+        attendance,
+        closedVisit
+      });
+    } catch (error) {
+      if (!error.access) throw error;
+      res.status(403).json({
+        action: 'denied',
+        error: error.message,
+        customer: member,
+        access: error.access
+      });
+    }
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Evaluate the access policy for a customer without marking attendance
+export const checkAccess = async (req, res) => {
+  try {
+    const customer = await refreshCustomerStatus(await Customer.findById(req.params.customerId));
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const access = await evaluateAccess(customer);
+    res.json({
+      customer: {
+        id: customer._id,
+        name: customer.name,
+        rollNumber: customer.rollNumber,
+        status: customer.status
+      },
+      ...access
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 };
 
@@ -47,7 +143,7 @@ export const getAttendance = async (req, res) => {
     if (customerId) query.customerId = customerId;
 
     const attendance = await Attendance.find(query)
-      .populate('customerId', 'name rollNumber')
+      .populate({ path: 'customerId', select: 'name rollNumber', options: { includeArchived: true } })
       .sort({ date: -1, checkInTime: -1 });
 
     res.json(attendance);
@@ -60,13 +156,27 @@ export const getAttendance = async (req, res) => {
 export const getAttendanceByDateRange = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
+
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: `attendance-${startDate}-to-${endDate}`,
+        sheetName: 'Attendance',
+        columns: attendanceColumns,
+        rows: Attendance.find({ date: { $gte: startDate, $lte: endDate } })
+          .sort({ date: -1, checkInTime: -1 })
+          .lean()
+          .cursor()
+      });
+    }
     
     const attendance = await Attendance.find({
       date: {
         $gte: startDate,
         $lte: endDate
       }
-    }).populate('customerId', 'name rollNumber')
+    }).populate({ path: 'customerId', select: 'name rollNumber', options: { includeArchived: true } })
       .sort({ date: -1 });
 
     res.json(attendance);
@@ -79,28 +189,31 @@ export const getAttendanceByDateRange = async (req, res) => {
 export const updateCheckout = async (req, res) => {
   try {
     const { id } = req.params;
-    const checkOutTime = new Date().toLocaleTimeString();
 
     const attendance = await Attendance.findById(id);
     if (!attendance) {
       return res.status(404).json({ error: 'Attendance record not found' });
     }
 
-    // Calculate duration
-    const checkIn = new Date(`1970-01-01 ${attendance.checkInTime}`);
-    const checkOut = new Date(`1970-01-01 ${checkOutTime}`);
-    const diffMs = checkOut - checkIn;
-    const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-    const diffMins = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-    const duration = `${diffHours}h ${diffMins}m`;
-
-    await Attendance.findByIdAndUpdate(id, {
-      checkOutTime,
-      duration
-    });
+    const before = attendance.toObject();
+    const { checkOutTime, duration } = await checkOut(attendance);
+    await recordAudit(req, { action: 'check_out', entity: 'attendance', entityId: attendance._id, customerId: attendance.customerId, before, after: attendance });
 
-    res.json({ message: 'Checkout time updated successfully!' });
+    res.json({ message: 'Checkout time updated successfully!', checkOutTime, duration });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Auto-close sessions left open from previous days (same as the nightly job; usable as an external cron target)
+export const autoCloseAttendance = async (req, res) => {
+  try {
+    const closed = await closeStaleVisits(gymStartOfDay());
+    if (closed) {
+      await recordAudit(req, { action: 'auto_close', entity: 'attendance', note: `Closed ${closed} open sessions` });
+    }
+    res.json({ message: `Auto-closed ${closed} open sessions`, closed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 };
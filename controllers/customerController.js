@@ -1,4 +1,10 @@
 import Customer from '../models/Customer.js';
+import { recordPayment } from '../services/paymentService.js';
+import { getActivePlan, getPlanTerms } from '../services/planService.js';
+import { nextRollNumber } from '../services/rollNumberService.js';
+import { archiveCustomer } from '../services/customerArchiveService.js';
+import { parseJsonObject } from '../middleware/validate.js';
+import { PROTECTED_CUSTOMER_FIELDS } from '../validators/customerValidators.js';
 
 // Get all customers
 export const getCustomers = async (req, res) => {
@@ -23,14 +29,20 @@ export const getCustomersCount = async (req, res) => {
 // Create customer
 export const createCustomer = async (req, res) => {
   try {
-    const {
-      name, phone, email, address, joinDate, expiryDate,
-      membership, fee, paidAmount, remaining, emergencyContact
-    } = req.body;
+    const { name, phone, email, address, paidAmount, emergencyContact, planId } = req.body;
+    let { joinDate, expiryDate, membership, fee, remaining } = req.body;
 
-    // Generate roll number
-    const count = await Customer.countDocuments();
-    const rollNumber = `GYM-${String(count + 1).padStart(4, '0')}`;
+    if (planId) {
+      const plan = await getActivePlan(planId);
+      ({ membership, fee, expiryDate, startDate: joinDate } = getPlanTerms(plan, joinDate));
+      remaining = fee - (parseFloat(paidAmount) || 0);
+    }
+
+    if (emergencyContact && !parseJsonObject(emergencyContact)) {
+      return res.status(400).json({ error: 'Validation failed', fields: { emergencyContact: 'must be an object' } });
+    }
+
+    const rollNumber = await nextRollNumber();
 
     const customerData = {
       rollNumber,
@@ -41,10 +53,12 @@ export const createCustomer = async (req, res) => {
       joinDate,
       expiryDate,
       membership,
+      planId: planId || null,
       fee: parseFloat(fee),
+      initialFee: parseFloat(fee),
       paidAmount: parseFloat(paidAmount) || 0,
       remaining: parseFloat(remaining),
-      emergencyContact: emergencyContact ? JSON.parse(emergencyContact) : {},
+      emergencyContact: emergencyContact ? parseJsonObject(emergencyContact) : {},
       image: req.file ? req.file.filename : ''
     };
 
@@ -56,7 +70,7 @@ export const createCustomer = async (req, res) => {
       customer
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
 
@@ -66,15 +80,26 @@ export const updateCustomer = async (req, res) => {
     const { id } = req.params;
     const updateData = { ...req.body };
 
+    const protectedFields = Object.keys(updateData).filter(field => PROTECTED_CUSTOMER_FIELDS.includes(field));
+    if (protectedFields.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: Object.fromEntries(protectedFields.map(field => [field, 'cannot be changed']))
+      });
+    }
+
     if (req.file) {
       updateData.image = req.file.filename;
     }
 
     if (updateData.emergencyContact) {
-      updateData.emergencyContact = JSON.parse(updateData.emergencyContact);
+      updateData.emergencyContact = parseJsonObject(updateData.emergencyContact);
+      if (!updateData.emergencyContact) {
+        return res.status(400).json({ error: 'Validation failed', fields: { emergencyContact: 'must be an object' } });
+      }
     }
 
-    const customer = await Customer.findByIdAndUpdate(id, updateData, { new: true });
+    const customer = await Customer.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
     
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
@@ -89,19 +114,15 @@ export const updateCustomer = async (req, res) => {
   }
 };
 
-// Delete customer
+// Delete customer (soft delete, see customerArchiveService)
 export const deleteCustomer = async (req, res) => {
   try {
     const { id } = req.params;
-    const customer = await Customer.findByIdAndDelete(id);
-    
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
+    await archiveCustomer(id, { deletedBy: req.user?.name });
 
     res.json({ message: 'Customer deleted successfully!' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 };
 
@@ -120,23 +141,12 @@ export const getPendingPayments = async (req, res) => {
 export const updatePayment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount } = req.body;
-
-    const customer = await Customer.findById(id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
+    const { amount, method, receivedBy, note, date } = req.body;
 
-    const newPaidAmount = customer.paidAmount + parseFloat(amount);
-    const newRemaining = customer.fee - newPaidAmount;
+    const { payment } = await recordPayment(id, { amount, method, receivedBy, note, date });
 
-    await Customer.findByIdAndUpdate(id, {
-      paidAmount: newPaidAmount,
-      remaining: Math.max(0, newRemaining)
-    });
-
-    res.json({ message: 'Payment updated successfully!' });
+    res.json({ message: 'Payment updated successfully!', payment });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
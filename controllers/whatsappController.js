@@ -1,108 +1,233 @@
+import mongoose from 'mongoose';
 import whatsappService from '../services/whatsappService.js';
+import * as messagingService from '../services/messagingService.js';
+import { messageTemplates } from '../services/messageTemplates.js';
+import { recordOutbound } from '../services/messageLogService.js';
+import { renderReceiptPdf, getReceiptFilename } from '../services/receiptService.js';
+import reminderJob from '../jobs/reminderJob.js';
 import Customer from '../models/Customer.js';
+import Receipt from '../models/Receipt.js';
 
+const VERIFICATION_CODE_TTL = 5 * 60 * 1000;
+
+// Pending verification codes by formatted number (92XXXXXXXXXX)
+const verificationCodes = new Map();
+
+// Number currently waiting for a verification code reply
+let verifyingPhoneNumber = null;
+
+// A reply with the 6-digit code confirms the number can receive messages
+whatsappService.onMessage(async (message) => {
+  if (!message.body || !/^\d{6}$/.test(message.body.trim())) return;
+
+  const phoneNumber = message.from.replace('@c.us', '');
+  console.log(`📨 Received potential verification code from ${phoneNumber}`);
+
+  if (verifyingPhoneNumber !== phoneNumber) return;
+
+  const storedData = verificationCodes.get(phoneNumber);
+  if (storedData && storedData.code === message.body.trim()) {
+    storedData.verified = true;
+    await whatsappService.client.sendMessage(message.from,
+      '✅ Verification code received! You can now use the WhatsApp messaging system.'
+    );
+  }
+});
+
+const notConnected = (res) => res.status(400).json({
+  error: 'WhatsApp Web is not connected. Please connect first.',
+  status: whatsappService.status,
+  instruction: 'Click "Connect WhatsApp Web" and scan the QR code first'
+});
+
+// No transport can send right now (WhatsApp Web down and no fallback configured)
+const noTransport = (res) => res.status(400).json({
+  error: 'No messaging transport is available. Connect WhatsApp Web or configure Twilio.',
+  status: whatsappService.status,
+  messaging: messagingService.getMessagingStatus()
+});
+
+const hasPhone = (phone) => phone && phone.trim() !== '' && phone !== '0000';
+
+export const getWhatsAppStatus = (req, res) => {
+  const { transport, fallback, available, active } = messagingService.getMessagingStatus();
+  res.json({
+    ...whatsappService.getStatus(),
+    messaging: { transport, fallback, available, active }
+  });
+};
+
+// Start the WhatsApp Web session; the QR code shows up in /status once generated
 export const initializeWhatsApp = async (req, res) => {
   try {
-    await whatsappService.initialize();
-    res.json({ 
-      success: true, 
-      message: 'WhatsApp initialization started',
-      status: whatsappService.getStatus()
+    if (whatsappService.isReady) {
+      return res.json({
+        success: true,
+        message: 'WhatsApp Web is already connected',
+        status: whatsappService.status
+      });
+    }
+
+    whatsappService.initialize().catch((error) => {
+      console.error('❌ WhatsApp initialization failed:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'WhatsApp Web initialization started. Please wait for QR code...',
+      status: 'initializing'
     });
   } catch (error) {
-    console.error('Initialize WhatsApp error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ WhatsApp Web initialization error:', error);
+    res.status(500).json({
+      error: 'Failed to initialize WhatsApp Web',
+      details: error.message
     });
   }
 };
 
-export const getWhatsAppStatus = async (req, res) => {
+export const requestVerification = async (req, res) => {
   try {
-    const status = whatsappService.getStatus();
-    res.json(status);
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    if (!whatsappService.isReady) {
+      return notConnected(res);
+    }
+
+    const validation = whatsappService.validatePhoneNumber(phoneNumber);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
+    verificationCodes.set(validation.formattedNumber, {
+      code: verificationCode,
+      expires: Date.now() + VERIFICATION_CODE_TTL,
+      verified: false
+    });
+    verifyingPhoneNumber = validation.formattedNumber;
+
+    const result = await whatsappService.sendMessage(phoneNumber, messageTemplates.verificationCode(verificationCode));
+
+    console.log(`✅ Verification code sent via WhatsApp to ${result.phoneNumber}`);
+
+    res.json({
+      success: true,
+      message: `Verification code sent to WhatsApp number ${result.to}`,
+      phoneNumber: result.to,
+      sentVia: 'WhatsApp Web',
+      expiresIn: '5 minutes',
+      // For development only - remove in production
+      ...(process.env.NODE_ENV === 'development' && {
+        devCode: verificationCode,
+        devMessage: `Development mode: Your code is ${verificationCode}`
+      })
+    });
   } catch (error) {
-    console.error('Get status error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Verification request error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send verification code',
+      details: error.message
+    });
   }
 };
 
-export const sendMessage = async (req, res) => {
+export const verifyCode = (req, res) => {
   try {
-    const { phoneNumber, message, customerId } = req.body;
+    const { phoneNumber, verificationCode } = req.body;
 
-    // Validate input
-    if (!phoneNumber) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Phone number is required' 
+    if (!phoneNumber || !verificationCode) {
+      return res.status(400).json({
+        error: 'Phone number and verification code are required'
       });
     }
 
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Message cannot be empty' 
+    const validation = whatsappService.validatePhoneNumber(phoneNumber);
+    const storedData = validation.isValid ? verificationCodes.get(validation.formattedNumber) : null;
+
+    if (!storedData) {
+      return res.status(400).json({
+        error: 'No verification code found. Please request a new code.'
       });
     }
 
-    // Check if WhatsApp is ready
-    const status = whatsappService.getStatus();
-    if (!status.isReady) {
-      return res.status(503).json({
-        success: false,
-        error: 'WhatsApp is not ready. Please scan QR code and wait for connection.',
-        status: status.status
+    if (Date.now() > storedData.expires) {
+      verificationCodes.delete(validation.formattedNumber);
+      return res.status(400).json({
+        error: 'Verification code has expired. Please request a new code.'
       });
     }
 
-    console.log(`📱 Attempting to send message to: ${phoneNumber}`);
-    const result = await whatsappService.sendMessage(phoneNumber, message);
-    
-    // Log message to database if customer ID is provided
-    if (customerId) {
-      try {
-        await Customer.findByIdAndUpdate(customerId, {
-          $push: {
-            messageHistory: {
-              message,
-              phoneNumber: result.phoneNumber,
-              sentAt: new Date(),
-              status: 'sent',
-              type: 'custom'
-            }
-          }
-        });
-      } catch (dbError) {
-        console.error('Error logging message to database:', dbError);
-        // Don't fail the request if database logging fails
-      }
+    if (storedData.code !== verificationCode.toString()) {
+      return res.status(400).json({
+        error: 'Invalid verification code. Please try again.',
+        remainingAttempts: 'Unlimited',
+        hint: 'Make sure you entered the 6-digit code correctly'
+      });
     }
 
-    res.json(result);
-    
+    storedData.verified = true;
+    verifyingPhoneNumber = null;
+
+    console.log(`✅ Phone number verified: +${validation.formattedNumber}`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully! You can now send WhatsApp messages.',
+      verifiedPhone: `+${validation.formattedNumber}`,
+      status: 'verification_complete'
+    });
   } catch (error) {
-    console.error('Send message error:', error);
-    
-    // Handle different types of errors
-    let statusCode = 500;
-    let errorMessage = error.message;
-
-    if (error.message.includes('Phone validation failed') ||
-        error.message.includes('Invalid phone number') ||
-        error.message.includes('Phone number is required')) {
-      statusCode = 400;
-    } else if (error.message.includes('not registered on WhatsApp')) {
-      statusCode = 404;
-    } else if (error.message.includes('WhatsApp is not ready')) {
-      statusCode = 503;
+    console.error('❌ Verification error:', error);
+    res.status(500).json({
+      error: 'Verification failed',
+      details: error.message
+    });
+  }
+};
+
+export const sendMessage = async (req, res) => {
+  try {
+    const { phoneNumber, message, customerId } = req.body;
+
+    if (!phoneNumber || !message) {
+      return res.status(400).json({
+        error: 'Phone number and message are required'
+      });
+    }
+
+    if (!messagingService.isAvailable()) {
+      return noTransport(res);
     }
 
-    res.status(statusCode).json({ 
-      success: false, 
-      error: errorMessage,
-      details: error.stack?.split('\n')[0] || 'No additional details'
+    console.log(`📝 Message: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
+    const result = await messagingService.sendMessage(phoneNumber, message);
+
+    // Without a customer ID the customer is looked up by phone number
+    await recordOutbound({
+      customerId: mongoose.Types.ObjectId.isValid(customerId) ? customerId : null,
+      phone: phoneNumber,
+      body: message,
+      result,
+      sentBy: req.user.name
+    });
+
+    res.json({
+      success: true,
+      message: `Message sent successfully via ${result.method}`,
+      method: result.method,
+      to: result.to,
+      result
+    });
+  } catch (error) {
+    console.error('❌ Send message error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send WhatsApp message',
+      details: error.message
     });
   }
 };
@@ -110,68 +235,42 @@ export const sendMessage = async (req, res) => {
 export const sendWelcomeMessage = async (req, res) => {
   try {
     const { customerId } = req.body;
-    
+
     if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required'
-      });
+      return res.status(400).json({ error: 'Customer ID is required' });
     }
-    
+
     const customer = await Customer.findById(customerId);
     if (!customer) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Customer not found' 
-      });
+      return res.status(404).json({ error: 'Customer not found' });
     }
 
-    // Validate customer phone number
-    if (!customer.phone || customer.phone.trim() === '' || customer.phone === '0000') {
-      return res.status(400).json({
-        success: false,
-        error: `Customer ${customer.name} does not have a valid phone number`
-      });
+    if (!hasPhone(customer.phone)) {
+      return res.status(400).json({ error: 'Customer does not have a phone number' });
     }
 
-    const welcomeMessage = `🎉 Welcome to our Gym, ${customer.name}!
-
-We're excited to have you as part of our fitness family!
+    const welcomeMessage = messageTemplates.welcomeMessage(customer);
+    const result = await messagingService.sendMessage(customer.phone, welcomeMessage);
 
-📋 Your Details:
-• Name: ${customer.name}
-• Roll Number: ${customer.rollNumber}
-• Phone: ${customer.phone}
-• Package: ${customer.package}
-
-💪 Let's achieve your fitness goals together!
-
-For any queries, feel free to contact us.
-
-Best regards,
-Gym Management Team`;
-
-    const result = await whatsappService.sendMessage(customer.phone, welcomeMessage);
-    
-    // Update customer record
-    await Customer.findByIdAndUpdate(customerId, {
-      $push: {
-        messageHistory: {
-          message: welcomeMessage,
-          type: 'welcome',
-          phoneNumber: result.phoneNumber,
-          sentAt: new Date(),
-          status: 'sent'
-        }
-      }
+    await recordOutbound({
+      customerId: customer._id,
+      phone: customer.phone,
+      type: 'welcome',
+      body: welcomeMessage,
+      result,
+      sentBy: req.user.name
     });
 
-    res.json(result);
+    res.json({
+      success: true,
+      message: `Welcome message sent successfully via ${result.method}`,
+      result
+    });
   } catch (error) {
-    console.error('Send welcome message error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Welcome message error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send welcome message',
+      details: error.message
     });
   }
 };
@@ -179,313 +278,211 @@ Gym Management Team`;
 export const sendFeeReminder = async (req, res) => {
   try {
     const { customerId } = req.body;
-    
+
     if (!customerId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Customer ID is required'
-      });
+      return res.status(400).json({ error: 'Customer ID is required' });
     }
-    
+
     const customer = await Customer.findById(customerId);
     if (!customer) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Customer not found' 
-      });
+      return res.status(404).json({ error: 'Customer not found' });
     }
 
     if (customer.remaining <= 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No pending payment for this customer' 
-      });
+      return res.status(400).json({ error: 'No pending payment for this customer' });
     }
 
-    // Validate customer phone number
-    if (!customer.phone || customer.phone.trim() === '' || customer.phone === '0000') {
-      return res.status(400).json({
-        success: false,
-        error: `Customer ${customer.name} does not have a valid phone number`
-      });
+    if (!hasPhone(customer.phone)) {
+      return res.status(400).json({ error: 'Customer does not have a phone number' });
     }
 
-    const reminderMessage = `💰 Fee Payment Reminder
-
-Dear ${customer.name},
-
-This is a friendly reminder that you have a pending payment:
-
-📋 Payment Details:
-• Roll Number: ${customer.rollNumber}
-• Total Fee: ₹${customer.totalFee}
-• Paid Amount: ₹${customer.paidFee}
-• Remaining: ₹${customer.remaining}
-
-Please complete your payment at your earliest convenience.
-
-Thank you!
-Gym Management Team`;
-
-    const result = await whatsappService.sendMessage(customer.phone, reminderMessage);
-    
-    // Update customer record
-    await Customer.findByIdAndUpdate(customerId, {
-      $push: {
-        messageHistory: {
-          message: reminderMessage,
-          type: 'fee_reminder',
-          phoneNumber: result.phoneNumber,
-          sentAt: new Date(),
-          status: 'sent'
-        }
-      },
-      lastReminderSent: new Date()
+    const reminderMessage = messageTemplates.feeReminder(customer);
+    const result = await messagingService.sendMessage(customer.phone, reminderMessage);
+
+    await recordOutbound({
+      customerId: customer._id,
+      phone: customer.phone,
+      type: 'fee_reminder',
+      body: reminderMessage,
+      result,
+      sentBy: req.user.name
     });
 
-    res.json(result);
+    res.json({
+      success: true,
+      message: `Fee reminder sent successfully via ${result.method}`,
+      result
+    });
   } catch (error) {
-    console.error('Send fee reminder error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Fee reminder error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send fee reminder',
+      details: error.message
     });
   }
 };
 
-export const triggerFeeReminders = async (req, res) => {
+// Send a payment receipt / renewal invoice as a PDF document
+export const sendReceipt = async (req, res) => {
   try {
-    const pendingCustomers = await Customer.find({ 
-      remaining: { $gt: 0 },
-      phone: { $exists: true, $ne: '', $ne: '0000' } // Only customers with valid phone numbers
-    });
-    
-    if (pendingCustomers.length === 0) {
-      return res.json({ 
-        success: true, 
-        message: 'No customers with pending payments and valid phone numbers found',
-        count: 0
-      });
+    const { receiptId } = req.body;
+
+    if (!receiptId) {
+      return res.status(400).json({ error: 'Receipt ID is required' });
+    }
+
+    if (!messagingService.isAvailable({ document: true })) {
+      return noTransport(res);
     }
 
-    let successCount = 0;
-    let errors = [];
-
-    for (const customer of pendingCustomers) {
-      try {
-        // Additional validation using the service
-        const phoneValidation = whatsappService.validatePhoneNumber(customer.phone);
-        if (!phoneValidation.isValid) {
-          errors.push({ 
-            customer: customer.name, 
-            error: `Invalid phone number: ${phoneValidation.error}`,
-            phone: customer.phone 
-          });
-          continue;
-        }
-
-        const reminderMessage = `💰 Fee Payment Reminder
-
-Dear ${customer.name},
-
-This is a friendly reminder that you have a pending payment:
-
-📋 Payment Details:
-• Roll Number: ${customer.rollNumber}
-• Total Fee: ₹${customer.totalFee}
-• Paid Amount: ₹${customer.paidFee}
-• Remaining: ₹${customer.remaining}
-
-Please complete your payment at your earliest convenience.
-
-Thank you!
-Gym Management Team`;
-
-        await whatsappService.sendMessage(customer.phone, reminderMessage);
-        
-        // Update customer record
-        await Customer.findByIdAndUpdate(customer._id, {
-          $push: {
-            messageHistory: {
-              message: reminderMessage,
-              type: 'fee_reminder',
-              phoneNumber: phoneValidation.formattedNumber,
-              sentAt: new Date(),
-              status: 'sent'
-            }
-          },
-          lastReminderSent: new Date()
-        });
-
-        successCount++;
-        console.log(`✅ Fee reminder sent to ${customer.name}`);
-        
-        // Add delay between messages to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-      } catch (error) {
-        console.error(`❌ Error sending reminder to ${customer.name}:`, error);
-        errors.push({ 
-          customer: customer.name, 
-          error: error.message,
-          phone: customer.phone 
-        });
-      }
+    const receipt = await Receipt.findById(receiptId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
     }
 
-    res.json({ 
-      success: true, 
-      message: `Fee reminders processed for ${pendingCustomers.length} customers`,
-      totalCustomers: pendingCustomers.length,
-      successCount,
-      errorCount: errors.length,
-      errors: errors.slice(0, 10) // Limit errors in response
+    if (!hasPhone(receipt.phone)) {
+      return res.status(400).json({ error: 'Customer does not have a phone number' });
+    }
+
+    const pdfBuffer = await renderReceiptPdf(receipt);
+    const caption = messageTemplates.receiptCaption(receipt);
+    const result = await messagingService.sendDocument(receipt.phone, pdfBuffer, {
+      filename: getReceiptFilename(receipt),
+      caption
+    });
+
+    await recordOutbound({
+      customerId: receipt.customerId,
+      phone: receipt.phone,
+      type: 'receipt',
+      body: caption,
+      result,
+      sentBy: req.user.name
+    });
+
+    console.log(`✅ Receipt ${receipt.receiptCode} sent to ${result.phoneNumber}`);
+
+    res.json({
+      success: true,
+      message: `Receipt sent successfully via ${result.method}`,
+      result: { ...result, receipt: receipt.receiptCode }
     });
   } catch (error) {
-    console.error('Trigger fee reminders error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Send receipt error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send receipt',
+      details: error.message
     });
   }
 };
 
-export const triggerExpiryReminders = async (req, res) => {
+// Queue fee reminders for every customer with a balance (same run as the daily job).
+// Responds right away; progress is visible under /api/messages/queue?batchId=
+export const triggerFeeReminders = async (req, res) => {
   try {
-    const threeDaysFromNow = new Date();
-    threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-
-    const expiringCustomers = await Customer.find({
-      endDate: {
-        $lte: threeDaysFromNow,
-        $gte: new Date()
-      },
-      phone: { $exists: true, $ne: '', $ne: '0000' } // Only valid phone numbers
+    const { batchId, total, queued, skipped } = await reminderJob.queueFeeReminders({ createdBy: req.user.name });
+
+    res.status(202).json({
+      success: true,
+      message: `Fee reminders queued: ${queued} queued, ${skipped} already waiting`,
+      batchId,
+      stats: { queued, skipped, total },
+      ...(!messagingService.isAvailable() && {
+        warning: 'No messaging transport is available; messages will be sent once one is connected'
+      })
     });
+  } catch (error) {
+    console.error('❌ Bulk fee reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to queue fee reminders',
+      details: error.message
+    });
+  }
+};
 
-    if (expiringCustomers.length === 0) {
-      return res.json({ 
-        success: true, 
-        message: 'No customers with expiring memberships and valid phone numbers found',
-        count: 0
-      });
-    }
-
-    let successCount = 0;
-    let errors = [];
-
-    for (const customer of expiringCustomers) {
-      try {
-        // Validate phone number
-        const phoneValidation = whatsappService.validatePhoneNumber(customer.phone);
-        if (!phoneValidation.isValid) {
-          errors.push({ 
-            customer: customer.name, 
-            error: `Invalid phone number: ${phoneValidation.error}`,
-            phone: customer.phone 
-          });
-          continue;
-        }
-
-        const daysUntilExpiry = Math.ceil((customer.endDate - new Date()) / (1000 * 60 * 60 * 24));
-        
-        const expiryMessage = `⚠️ Membership Expiry Reminder
-
-Dear ${customer.name},
-
-Your gym membership is expiring soon:
-
-📋 Membership Details:
-• Roll Number: ${customer.rollNumber}
-• Current Package: ${customer.package}
-• Expiry Date: ${customer.endDate.toDateString()}
-• Days Remaining: ${daysUntilExpiry} days
-
-Please renew your membership to continue enjoying our services.
-
-Contact us for renewal options!
-
-Best regards,
-Gym Management Team`;
-
-        await whatsappService.sendMessage(customer.phone, expiryMessage);
-        
-        // Update customer record
-        await Customer.findByIdAndUpdate(customer._id, {
-          $push: {
-            messageHistory: {
-              message: expiryMessage,
-              type: 'expiry_reminder',
-              phoneNumber: phoneValidation.formattedNumber,
-              sentAt: new Date(),
-              status: 'sent'
-            }
-          },
-          lastExpiryReminderSent: new Date()
-        });
-
-        successCount++;
-        console.log(`✅ Expiry reminder sent to ${customer.name}`);
-        
-        // Add delay between messages
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-      } catch (error) {
-        console.error(`❌ Error sending expiry reminder to ${customer.name}:`, error);
-        errors.push({ 
-          customer: customer.name, 
-          error: error.message,
-          phone: customer.phone 
-        });
-      }
-    }
-
-    res.json({ 
-      success: true, 
-      message: `Expiry reminders processed for ${expiringCustomers.length} customers`,
-      totalCustomers: expiringCustomers.length,
-      successCount,
-      errorCount: errors.length,
-      errors: errors.slice(0, 10)
+// Queue renewal reminders for members expiring in the next few days (same run as the daily job)
+export const triggerExpiryReminders = async (req, res) => {
+  try {
+    const { batchId, total, queued, skipped } = await reminderJob.queueExpiryReminders({ createdBy: req.user.name });
+
+    res.status(202).json({
+      success: true,
+      message: `Expiry reminders queued: ${queued} queued, ${skipped} already waiting`,
+      batchId,
+      stats: { queued, skipped, total },
+      ...(!messagingService.isAvailable() && {
+        warning: 'No messaging transport is available; messages will be sent once one is connected'
+      })
     });
   } catch (error) {
-    console.error('Trigger expiry reminders error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Bulk expiry reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to queue expiry reminders',
+      details: error.message
     });
   }
 };
 
 export const disconnectWhatsApp = async (req, res) => {
   try {
+    console.log('🛑 Disconnecting WhatsApp client...');
     await whatsappService.disconnect();
-    res.json({ 
-      success: true, 
-      message: 'WhatsApp disconnected successfully' 
+
+    verificationCodes.clear();
+    verifyingPhoneNumber = null;
+
+    res.json({
+      success: true,
+      message: 'WhatsApp disconnected successfully'
     });
   } catch (error) {
-    console.error('Disconnect WhatsApp error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Disconnect error:', error);
+    res.status(500).json({
+      error: 'Failed to disconnect WhatsApp',
+      details: error.message
     });
   }
 };
 
 export const restartWhatsApp = async (req, res) => {
   try {
-    await whatsappService.restart();
-    res.json({ 
-      success: true, 
-      message: 'WhatsApp client restarted successfully',
+    // Restart waits for the old session to close; the new one reports progress via /status
+    whatsappService.restart().catch((error) => {
+      console.error('❌ WhatsApp restart failed:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'WhatsApp client restart started',
       status: whatsappService.getStatus()
     });
   } catch (error) {
-    console.error('Restart WhatsApp error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ Restart WhatsApp error:', error);
+    res.status(500).json({
+      error: 'Failed to restart WhatsApp',
+      details: error.message
     });
   }
 };
+
+export const getConfigStatus = (req, res) => {
+  const status = whatsappService.getStatus();
+
+  res.json({
+    whatsappWeb: {
+      configured: whatsappService.client !== null,
+      status: status.status,
+      isReady: status.isReady,
+      clientInfo: status.clientInfo
+    },
+    current: status,
+    messaging: messagingService.getMessagingStatus(),
+    activeCodesCount: verificationCodes.size,
+    verifyingPhone: verifyingPhoneNumber,
+    statistics: {
+      totalVerificationCodes: verificationCodes.size,
+      clientConnected: whatsappService.client !== null,
+      lastStatusUpdate: new Date().toISOString()
+    }
+  });
+};
@@ -0,0 +1,43 @@
+import cron from 'node-cron';
+import { closeStaleVisits } from '../services/attendanceService.js';
+import { gymStartOfDay } from '../utils/gymDate.js';
+
+class AutoCheckoutJobService {
+  constructor() {
+    this.jobs = [];
+  }
+
+  init() {
+    console.log('🕐 Initializing auto check-out job...');
+
+    // Close visits left open from previous days - runs daily at 2:00 AM
+    const autoCheckoutJob = cron.schedule('0 2 * * *', async () => {
+      console.log('🔔 Running nightly auto check-out job...');
+      await this.run();
+    }, {
+      timezone: "Asia/Karachi"
+    });
+
+    this.jobs.push(autoCheckoutJob);
+    console.log('✅ Auto check-out job started successfully');
+  }
+
+  async run() {
+    try {
+      const closed = await closeStaleVisits(gymStartOfDay());
+      console.log(`📋 Auto-closed ${closed} open attendance sessions`);
+      return closed;
+    } catch (error) {
+      console.error('❌ Error in auto check-out job:', error);
+      return 0;
+    }
+  }
+
+  stop() {
+    this.jobs.forEach(job => job.stop());
+    console.log('🛑 Auto check-out job stopped');
+  }
+}
+
+const autoCheckoutJob = new AutoCheckoutJobService();
+export default autoCheckoutJob;
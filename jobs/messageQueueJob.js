@@ -0,0 +1,52 @@
+import cron from 'node-cron';
+import { processQueue } from '../services/messageQueueService.js';
+
+class MessageQueueJobService {
+  constructor() {
+    this.jobs = [];
+    this.running = false;
+  }
+
+  init() {
+    console.log('🕐 Initializing message queue worker...');
+
+    // Send queued messages - runs every minute, up to MESSAGE_RATE_PER_MINUTE per minute
+    const queueJob = cron.schedule('* * * * *', async () => {
+      await this.run();
+    }, {
+      timezone: "Asia/Karachi"
+    });
+
+    this.jobs.push(queueJob);
+    console.log('✅ Message queue worker started successfully');
+  }
+
+  // One pass over the queue; skipped while the previous pass is still sending
+  async run() {
+    if (this.running) {
+      return { skipped: 'Queue is already being processed' };
+    }
+
+    this.running = true;
+    try {
+      const stats = await processQueue();
+      if (stats.sent || stats.failed || stats.dead) {
+        console.log(`📤 Message queue: ${stats.sent} sent, ${stats.failed} to retry, ${stats.dead} dead, ${stats.remaining} queued`);
+      }
+      return stats;
+    } catch (error) {
+      console.error('❌ Error in message queue worker:', error);
+      return { error: error.message };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  stop() {
+    this.jobs.forEach(job => job.stop());
+    console.log('🛑 Message queue worker stopped');
+  }
+}
+
+const messageQueueJob = new MessageQueueJobService();
+export default messageQueueJob;
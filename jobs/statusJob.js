@@ -0,0 +1,44 @@
+import cron from 'node-cron';
+import { expireOverdueMemberships } from '../services/membershipStatusService.js';
+
+class MembershipStatusJobService {
+  constructor() {
+    this.jobs = [];
+  }
+
+  init() {
+    console.log('🕐 Initializing membership status job...');
+
+    // Expire overdue memberships - runs daily just after midnight
+    const expiryJob = cron.schedule('5 0 * * *', async () => {
+      console.log('🔔 Running daily membership expiry job...');
+      await this.run();
+    }, {
+      timezone: "Asia/Karachi"
+    });
+
+    this.jobs.push(expiryJob);
+
+    // Catch up on anything that expired while the server was down
+    this.run();
+
+    console.log('✅ Membership status job started successfully');
+  }
+
+  async run() {
+    try {
+      const { cutoff, expired } = await expireOverdueMemberships();
+      console.log(`📋 Marked ${expired} memberships as expired (expiryDate before ${cutoff})`);
+    } catch (error) {
+      console.error('❌ Error in membership status job:', error);
+    }
+  }
+
+  stop() {
+    this.jobs.forEach(job => job.stop());
+    console.log('🛑 Membership status job stopped');
+  }
+}
+
+const membershipStatusJob = new MembershipStatusJobService();
+export default membershipStatusJob;
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { verifyAccessToken } from '../services/authService.js';
+
+// Every staff role except owner (owners pass every check): for routes any logged-in staff can use
+export const ALL_STAFF = ['manager', 'receptionist', 'trainer'];
+
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Scheduler calls (Vercel cron, uptime pingers) authenticate with CRON_SECRET instead of a login
+const isCronSecret = (token) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || !token) return false;
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Require a valid access token and expose the staff member as req.user ({ id, name, role })
+export const authenticate = (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (isCronSecret(token)) {
+      req.user = { id: null, name: 'system', role: 'system' };
+      return next();
+    }
+
+    const payload = token ? verifyAccessToken(token) : null;
+    if (!payload) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = { id: payload.sub, name: payload.name, role: payload.role };
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Allow only the listed roles. Owners can do everything; 'system' (the cron caller) only gets
+// into routes that list it, so every route declares its roles.
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.role !== 'owner' && !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+
+  next();
+};
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Sent by clients that post back a whole fetched document; never written, so dropped quietly
+const METADATA_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Objects may arrive as JSON strings in multipart/form-data bodies
+export const parseJsonObject = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value !== 'string') return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Coerce one value to its rule type. Returns { value } or { error }.
+const coerce = (rule, value) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be text' };
+      const text = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.maxLength && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      if (rule.pattern && text && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+      return { value: text };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      if (rule.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: number };
+    }
+    case 'boolean': {
+      if (value === true || (!rule.strict && value === 'true')) return { value: true };
+      if (value === false || (!rule.strict && value === 'false')) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'date': {
+      // Stored as YYYY-MM-DD strings; full ISO timestamps are accepted and trimmed to the date
+      const date = moment(String(value), ['YYYY-MM-DD', moment.ISO_8601], true);
+      if (!date.isValid()) return { error: 'must be a date (YYYY-MM-DD)' };
+      return { value: rule.keepTime ? date.toDate() : date.format('YYYY-MM-DD') };
+    }
+    case 'objectId': {
+      if (!mongoose.Types.ObjectId.isValid(value)) return { error: 'must be a valid ID' };
+      return { value: String(value) };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+
+      const items = [];
+      for (const item of value) {
+        const { value: coerced, error } = coerce(rule.items, item);
+        if (error) return { error: `items ${error}` };
+        items.push(coerced);
+      }
+      return { value: items };
+    }
+    case 'object': {
+      const object = parseJsonObject(value);
+      if (!object) return { error: 'must be an object' };
+
+      const errors = {};
+      const result = validateFields(rule.fields, object, errors);
+      if (Object.keys(errors).length) {
+        return { error: Object.entries(errors).map(([field, message]) => `${field} ${message}`).join(', ') };
+      }
+      return { value: result };
+    }
+    default:
+      return { value };
+  }
+};
+
+// Check and coerce body against fields; writes messages into errors keyed by field name
+const validateFields = (fields, body, errors, protectedFields = []) => {
+  const result = {};
+
+  Object.keys(body).forEach(field => {
+    if (METADATA_FIELDS.includes(field)) return;
+    if (protectedFields.includes(field)) {
+      errors[field] = 'cannot be changed';
+    } else if (!fields[field]) {
+      errors[field] = 'is not an allowed field';
+    }
+  });
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = body[field];
+    const required = typeof rule.required === 'function' ? rule.required(body) : rule.required;
+
+    if (isEmpty(value)) {
+      if (required) {
+        errors[field] = 'is required';
+      } else if (rule.default !== undefined) {
+        result[field] = rule.default;
+      }
+      return;
+    }
+
+    const { value: coerced, error } = coerce(rule, value);
+    if (error) {
+      errors[field] = error;
+      return;
+    }
+
+    if (rule.enum && !rule.enum.includes(coerced)) {
+      errors[field] = `must be one of: ${rule.enum.join(', ')}`;
+      return;
+    }
+
+    if (rule.check) {
+      const message = rule.check(coerced, body);
+      if (message) {
+        errors[field] = message;
+        return;
+      }
+    }
+
+    result[field] = coerced;
+  });
+
+  return result;
+};
+
+// Validate req.body against a schema of field rules:
+//   { fee: { type: 'number', min: 0, required: true }, email: { type: 'string', pattern: /.../ } }
+// Rules: type (string|number|boolean|date|objectId|array|object), required (bool or (body) => bool),
+// enum, min/max, integer, maxLength, pattern, check(value, body) => message, default, fields (for objects),
+// items (rule for each array entry), trim: false (keep surrounding spaces, e.g. passwords),
+// strict (booleans: reject "true"/"false" strings from form bodies).
+// On success req.body is replaced by the coerced, known fields only. On failure responds 400 with
+// { error: 'Validation failed', fields: { field: message } }.
+// protectedFields are rejected with "cannot be changed" (e.g. rollNumber on a generic update).
+export const validateBody = (fields, { protectedFields = [] } = {}) => (req, res, next) => {
+  const errors = {};
+  const body = validateFields(fields, req.body || {}, errors, protectedFields);
+
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: 'Validation failed', fields: errors });
+  }
+
+  req.body = body;
+  next();
+};
+
+// Field errors of a mongoose ValidationError in the same shape as validateBody
+export const getMongooseFieldErrors = (error) => {
+  return Object.fromEntries(Object.entries(error.errors || {}).map(([field, fieldError]) => [field, fieldError.message]));
+};
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const ruleAction = {
+  type: String,
+  enum: ['allow', 'warn', 'deny'],
+  default: 'deny'
+};
+
+// Check-in rules. A single document (_id "default") holds the gym's policy.
+const accessPolicySchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'default'
+  },
+  expired: {
+    action: { ...ruleAction }
+  },
+  inactive: {
+    action: { ...ruleAction }
+  },
+  frozen: {
+    action: { ...ruleAction }
+  },
+  balance: {
+    action: { ...ruleAction, default: 'warn' },
+    // Outstanding balance (PKR) above which the rule applies
+    threshold: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // Plan accessRules (allowed days / hours)
+  timeWindow: {
+    action: { ...ruleAction }
+  }
+}, {
+  timestamps: true
+});
+
+accessPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findById('default');
+  return policy || new this({ _id: 'default' });
+};
+
+export default mongoose.model('AccessPolicy', accessPolicySchema);
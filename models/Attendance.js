@@ -16,22 +16,46 @@ const attendanceSchema = new mongoose.Schema({
   },
   date: {
     type: String,
-    required: true
+    required: true,
+    index: true
   },
   checkInTime: {
-    type: String,
-    default: () => new Date().toLocaleTimeString()
+    type: Date,
+    default: Date.now
   },
   checkOutTime: {
-    type: String,
+    type: Date,
     default: null
   },
+  // Minutes between check-in and check-out
   duration: {
+    type: Number,
+    default: null
+  },
+  // Closed by the system rather than a real check-out (duration is the default session length)
+  autoClosed: {
+    type: Boolean,
+    default: false
+  },
+  autoCloseReason: {
     type: String,
+    enum: ['new_check_in', 'nightly_job'],
     default: null
   }
 }, {
   timestamps: true
 });
 
+attendanceSchema.index({ customerId: 1, checkOutTime: 1 });
+attendanceSchema.index({ customerId: 1, checkInTime: -1 });
+
+// Human readable duration, e.g. "1h 5m"
+attendanceSchema.virtual('durationLabel').get(function() {
+  if (this.duration === null || this.duration === undefined) return null;
+  return `${Math.floor(this.duration / 60)}h ${this.duration % 60}m`;
+});
+
+attendanceSchema.set('toJSON', { virtuals: true });
+attendanceSchema.set('toObject', { virtuals: true });
+
 export default mongoose.model('Attendance', attendanceSchema);
@@ -28,24 +28,36 @@ const customerSchema = new mongoose.Schema({
   },
   expiryDate: {
     type: String,
-    required: true
+    required: true,
+    index: true
   },
+  // Plan name at the time of sale (see planId); free text for customers added before plans existed
   membership: {
     type: String,
-    enum: ['regular', 'training', 'premium', 'basic', 'vip', 'student'],
     required: true
   },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    default: null
+  },
   fee: {
     type: Number,
     required: true
   },
+  // Fee of the first membership period; fee is overwritten on renewal
+  initialFee: {
+    type: Number,
+    default: null
+  },
   paidAmount: {
     type: Number,
     default: 0
   },
   remaining: {
     type: Number,
-    required: true
+    required: true,
+    index: true
   },
   image: {
     type: String,
@@ -53,13 +65,65 @@ const customerSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'expired'],
-    default: 'active'
+    enum: ['active', 'inactive', 'expired', 'frozen'],
+    default: 'active',
+    index: true
   },
   emergencyContact: {
     name: String,
     phone: String
   },
+  // Membership pauses; endDate is null while the freeze is ongoing
+  freezePeriods: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    // Days credited back to expiryDate on unfreeze (capped by the plan's maxFreezeDays)
+    creditedDays: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    frozenBy: {
+      type: String,
+      default: ''
+    },
+    unfrozenBy: {
+      type: String,
+      default: ''
+    }
+  }],
+  // Every status transition (automatic expiry, renewal, ...)
+  statusHistory: [{
+    from: {
+      type: String,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    changedBy: {
+      type: String,
+      default: 'system'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Renewal history to track all membership renewals
   renewalHistory: [{
     previousMembership: {
@@ -74,6 +138,11 @@ const customerSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+      default: null
+    },
     newExpiryDate: {
       type: String,  // Keep as String to match your existing date format
       required: true
@@ -116,17 +185,46 @@ const customerSchema = new mongoose.Schema({
   lastRenewalDate: {
     type: Date,
     default: null
+  },
+  // Soft delete: archived customers keep their history but drop out of normal queries
+  archived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: ''
   }
 }, {
   timestamps: true
 });
 
-// Pre-save middleware to calculate remaining amount
-customerSchema.pre('save', function(next) {
+// Amount still owed for a period; paying more than the fee leaves nothing owed, not a negative balance
+customerSchema.statics.balanceDue = function(fee, paidAmount) {
+  return Math.max(0, (fee || 0) - (paidAmount || 0));
+};
+
+// Calculate remaining amount before validation, which runs first on save and requires it
+customerSchema.pre('validate', function(next) {
   if (this.isModified('fee') || this.isModified('paidAmount')) {
-    this.remaining = this.fee - this.paidAmount;
+    this.remaining = this.constructor.balanceDue(this.fee, this.paidAmount);
   }
   next();
 });
 
+// Hide archived customers from find/findOne/count queries unless the query asks for them,
+// either by filtering on archived or with .setOptions({ includeArchived: true }).
+// History views populate with options: { includeArchived: true } so old records keep their names.
+customerSchema.pre(['find', 'findOne', 'countDocuments'], function() {
+  if (this.getOptions().includeArchived || this.getFilter().archived !== undefined) {
+    return;
+  }
+  this.where({ archived: { $ne: true } });
+});
+
 export default mongoose.model('Customer', customerSchema);
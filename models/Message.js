@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const MESSAGE_STATUSES = ['sent', 'delivered', 'read', 'failed', 'received'];
+
+// Every message exchanged with a member, outbound (reminders, receipts, manual messages) and
+// inbound (replies on WhatsApp). Outbound status follows WhatsApp delivery/read receipts.
+const messageSchema = new mongoose.Schema({
+  // null for numbers that don't belong to a customer
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['outbound', 'inbound'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['custom', 'welcome', 'fee_reminder', 'expiry_reminder', 'receipt', 'reply'],
+    default: 'custom'
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // Formatted number (92XXXXXXXXXX)
+  phone: {
+    type: String,
+    default: ''
+  },
+  transport: {
+    type: String,
+    default: ''
+  },
+  // ID given by the transport; WhatsApp receipts are matched on it. null when there is none,
+  // so messages without an ID never share one and pick up each other's receipts.
+  messageId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: MESSAGE_STATUSES,
+    required: true
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  sentBy: {
+    type: String,
+    default: ''
+  },
+  // Queue entry the message was sent from, if any
+  outboundMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundMessage',
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ customerId: 1, createdAt: -1 });
+messageSchema.index({ messageId: 1 });
+
+export default mongoose.model('Message', messageSchema);
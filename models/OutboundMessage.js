@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+export const OUTBOUND_STATUSES = ['queued', 'sending', 'sent', 'dead', 'cancelled'];
+
+// A message waiting to be sent (or already handled) by the outbound queue worker.
+// Failed attempts go back to "queued" with a later nextAttemptAt until maxAttempts is reached;
+// messages that can never be delivered end up "dead" and stay until retried or cancelled.
+const outboundMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['custom', 'welcome', 'fee_reminder', 'expiry_reminder'],
+    default: 'custom'
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Messages enqueued together (e.g. one run of fee reminders)
+  batchId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: OUTBOUND_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending; a stale lock means the process died mid-send
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  transport: {
+    type: String,
+    default: ''
+  },
+  // null when the transport gave no ID
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: ''
+  },
+  cancelledBy: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ sentAt: -1 });
+outboundMessageSchema.index({ customerId: 1, type: 1, status: 1 });
+
+export default mongoose.model('OutboundMessage', outboundMessageSchema);
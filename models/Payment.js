@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const paymentSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'bank', 'jazzcash', 'easypaisa', 'card', 'other'],
+    default: 'cash'
+  },
+  receivedBy: {
+    type: String,
+    default: ''
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  // renewalHistory entry this payment belongs to (null = initial membership period)
+  renewalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'voided'],
+    default: 'valid'
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: String,
+    default: ''
+  },
+  voidReason: {
+    type: String,
+    default: ''
+  },
+  // Set on the replacement record when a payment is corrected
+  correctionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ customerId: 1, renewalId: 1, status: 1 });
+paymentSchema.index({ status: 1, date: 1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// HH:mm, 24-hour clock
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const accessTime = {
+  type: String,  // HH:mm, gym local time
+  default: '',
+  validate: {
+    validator: value => !value || TIME_PATTERN.test(value),
+    message: 'must be a time (HH:mm)'
+  }
+};
+
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  durationType: {
+    type: String,
+    enum: ['day', 'month', 'year'],
+    required: true
+  },
+  // When members on this plan may use the gym; empty means no restriction.
+  // An endTime before startTime is an overnight window (e.g. 22:00-06:00).
+  accessRules: {
+    allowedDays: {
+      type: [Number],  // 0 = Sunday ... 6 = Saturday
+      default: []
+    },
+    startTime: accessTime,
+    endTime: accessTime
+  },
+  // Total days a membership on this plan may be frozen per period
+  maxFreezeDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Plan', planSchema);
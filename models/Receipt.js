@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Receipts are snapshots: they keep the values printed at issue time
+// even if the customer or payment changes later.
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'renewal'],
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  renewalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  rollNumber: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    default: ''
+  },
+  membership: {
+    type: String,
+    default: ''
+  },
+  periodStart: {
+    type: String,
+    default: ''
+  },
+  periodEnd: {
+    type: String,
+    default: ''
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  receivedBy: {
+    type: String,
+    default: ''
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'voided'],
+    default: 'issued'
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.virtual('receiptCode').get(function() {
+  return `RCPT-${String(this.receiptNumber).padStart(6, '0')}`;
+});
+
+receiptSchema.set('toJSON', { virtuals: true });
+receiptSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('Receipt', receiptSchema);
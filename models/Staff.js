@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const STAFF_ROLES = ['owner', 'manager', 'receptionist', 'trainer'];
+
+const staffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // bcrypt hash, never returned by queries unless selected explicitly
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped on logout and password change to invalidate outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+staffSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+export default mongoose.model('Staff', staffSchema);
@@ -0,0 +1,46 @@
+import express from 'express';
+import AccessPolicy from '../models/AccessPolicy.js';
+import { authorize, ALL_STAFF } from '../middleware/auth.js';
+import { validateBody, getMongooseFieldErrors } from '../middleware/validate.js';
+import { updateAccessPolicySchema } from '../validators/accessPolicyValidators.js';
+
+const router = express.Router();
+
+// Get check-in access policy
+router.get('/', authorize(...ALL_STAFF), async (req, res) => {
+  try {
+    const policy = await AccessPolicy.getPolicy();
+    res.json(policy);
+  } catch (error) {
+    console.error('Error fetching access policy:', error);
+    res.status(500).json({ error: 'Failed to fetch access policy' });
+  }
+});
+
+// Update check-in access policy, e.g. { "balance": { "action": "deny", "threshold": 2000 } }
+router.put('/', authorize('manager'), validateBody(updateAccessPolicySchema), async (req, res) => {
+  try {
+    const update = {};
+    Object.entries(req.body).forEach(([rule, settings]) => {
+      Object.entries(settings).forEach(([key, value]) => {
+        update[`${rule}.${key}`] = value;
+      });
+    });
+
+    const policy = await AccessPolicy.findByIdAndUpdate(
+      'default',
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(policy);
+  } catch (error) {
+    console.error('Error updating access policy:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', fields: getMongooseFieldErrors(error) });
+    }
+    res.status(500).json({ error: 'Failed to update access policy' });
+  }
+});
+
+export default router;
@@ -3,14 +3,25 @@ import {
   markAttendance,
   getAttendance,
   getAttendanceByDateRange,
-  updateCheckout
+  updateCheckout,
+  scanAttendance,
+  checkAccess,
+  autoCloseAttendance
 } from '../controllers/attendanceController.js';
+import { authorize, ALL_STAFF } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { markAttendanceSchema, scanAttendanceSchema } from '../validators/attendanceValidators.js';
 
 const router = express.Router();
 
-router.post('/attendance', markAttendance);
-router.get('/attendance', getAttendance);
-router.get('/attendance/range', getAttendanceByDateRange);
-router.put('/attendance/:id/checkout', updateCheckout);
+router.post('/attendance', authorize(...ALL_STAFF), validateBody(markAttendanceSchema), markAttendance);
+router.post('/attendance/scan', authorize(...ALL_STAFF), validateBody(scanAttendanceSchema), scanAttendance);
+// GET for Vercel Cron (Bearer CRON_SECRET), which only sends GET requests; see vercel.json
+router.get('/attendance/auto-close', authorize('system'), autoCloseAttendance);
+router.post('/attendance/auto-close', authorize('manager', 'system'), autoCloseAttendance);
+router.get('/attendance', authorize(...ALL_STAFF), getAttendance);
+router.get('/attendance/range', authorize(...ALL_STAFF), getAttendanceByDateRange);
+router.get('/attendance/access-check/:customerId', authorize(...ALL_STAFF), checkAccess);
+router.put('/attendance/:id/checkout', authorize(...ALL_STAFF), updateCheckout);
 
 export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { listAuditLogs } from '../services/auditService.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Audit trail (?customerId=&staffId=&entity=&action=&startDate=&endDate=&page=&limit=)
+router.get('/', authorize('manager'), async (req, res) => {
+  try {
+    const { customerId, staffId } = req.query;
+
+    if ((customerId && !mongoose.Types.ObjectId.isValid(customerId)) || (staffId && !mongoose.Types.ObjectId.isValid(staffId))) {
+      return res.status(400).json({ error: 'Invalid customer or staff ID' });
+    }
+
+    res.json(await listAuditLogs(req.query));
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ error: 'Failed to fetch audit logs', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import Staff from '../models/Staff.js';
+import { login, refresh, logout, changePassword } from '../services/authService.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Log in with username/password; returns a short-lived access token and a refresh token
+router.post('/login', async (req, res) => {
+  try {
+    const { accessToken, refreshToken, staff } = await login(req.body.username, req.body.password);
+    res.json({ accessToken, refreshToken, staff });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { accessToken, refreshToken, staff } = await refresh(req.body.refreshToken);
+    res.json({ accessToken, refreshToken, staff });
+  } catch (error) {
+    console.error('Error refreshing token:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to refresh token' });
+  }
+});
+
+// Log out everywhere: all refresh tokens of the caller stop working
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await logout(req.user.id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Current staff member
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.user.id);
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    res.json(staff);
+  } catch (error) {
+    console.error('Error fetching current staff member:', error);
+    res.status(500).json({ error: 'Failed to fetch staff member' });
+  }
+});
+
+// Change own password; other sessions are logged out and fresh tokens are returned
+router.put('/password', authenticate, async (req, res) => {
+  try {
+    const { accessToken, refreshToken, staff } = await changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+    res.json({ message: 'Password changed successfully', accessToken, refreshToken, staff });
+  } catch (error) {
+    console.error('Error changing password:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to change password' });
+  }
+});
+
+export default router;
@@ -4,6 +4,45 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Customer from '../models/Customer.js';
+import {
+  recordPayment,
+  recordPeriodPayment,
+  listPayments,
+  ensureOpeningPayment
+} from '../services/paymentService.js';
+import { issueReceipt } from '../services/receiptService.js';
+import { getActivePlan, getPlanTerms } from '../services/planService.js';
+import {
+  ensureStatusesFresh,
+  refreshCustomerStatus,
+  expireOverdueMemberships,
+  buildStatusChange
+} from '../services/membershipStatusService.js';
+import { freezeMembership, unfreezeMembership, assertNotFrozen } from '../services/freezeService.js';
+import { signCardToken, generateQrPng, buildCardPdf } from '../services/memberCardService.js';
+import { getExportFormat, sendExport, customerColumns } from '../services/exportService.js';
+import { importCustomers } from '../services/customerImportService.js';
+import {
+  buildCustomerFilter,
+  parseCustomerSort,
+  parseCustomerProjection,
+  isPaginatedRequest,
+  listCustomers
+} from '../services/customerQueryService.js';
+import { nextRollNumber, auditRollNumbers } from '../services/rollNumberService.js';
+import { archiveCustomer, restoreCustomer, purgeCustomer, listArchivedCustomers } from '../services/customerArchiveService.js';
+import { recordAudit } from '../services/auditService.js';
+import { authorize, ALL_STAFF } from '../middleware/auth.js';
+import { validateBody, getMongooseFieldErrors } from '../middleware/validate.js';
+import {
+  PROTECTED_CUSTOMER_FIELDS,
+  PROTECTED_NEW_CUSTOMER_FIELDS,
+  createCustomerSchema,
+  updateCustomerSchema,
+  renewCustomerSchema,
+  recordPaymentSchema,
+  freezeSchema
+} from '../validators/customerValidators.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,10 +62,19 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage: storage });
 
+// Bulk imports are parsed in memory; nothing needs to land on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    cb(null, /\.(csv|xlsx)$/i.test(file.originalname));
+  }
+});
+
 // ========== SPECIFIC ROUTES FIRST (BEFORE PARAMETERIZED ROUTES) ==========
 
 // Get customers expiring soon - MUST BE BEFORE /customers/:id
-router.get('/customers/expiring', async (req, res) => {
+router.get('/customers/expiring', authorize(...ALL_STAFF), async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 5;
     const today = new Date();
@@ -34,6 +82,8 @@ router.get('/customers/expiring', async (req, res) => {
     futureDate.setDate(today.getDate() + days);
     
     const futureDateString = futureDate.toISOString().split('T')[0];
+
+    await ensureStatusesFresh();
     
     const expiringCustomers = await Customer.find({
       expiryDate: { $lte: futureDateString },
@@ -56,8 +106,19 @@ router.get('/customers/expiring', async (req, res) => {
 });
 
 // Get customers with pending payments - MUST BE BEFORE /customers/:id
-router.get('/customers/pending-payments', async (req, res) => {
+router.get('/customers/pending-payments', authorize('manager', 'receptionist'), async (req, res) => {
   try {
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: 'pending-payments',
+        sheetName: 'Pending Payments',
+        columns: customerColumns,
+        rows: Customer.find({ remaining: { $gt: 0 } }).sort({ remaining: -1 }).lean().cursor()
+      });
+    }
+
     const pendingCustomers = await Customer.find({
       remaining: { $gt: 0 }
     });
@@ -77,41 +138,178 @@ router.get('/customers/pending-payments', async (req, res) => {
   }
 });
 
+// Expire overdue memberships now (same as the daily job; usable as an external cron target)
+const refreshStatuses = async (req, res) => {
+  try {
+    const result = await expireOverdueMemberships();
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error refreshing membership statuses:', error);
+    res.status(500).json({
+      error: 'Failed to refresh membership statuses',
+      details: error.message
+    });
+  }
+};
+
+// GET for Vercel Cron (Bearer CRON_SECRET), which only sends GET requests; see vercel.json
+router.get('/customers/refresh-statuses', authorize('system'), refreshStatuses);
+router.post('/customers/refresh-statuses', authorize('manager', 'system'), refreshStatuses);
+
 // ========== GENERAL ROUTES ==========
 
-// Get all customers
-router.get('/customers', async (req, res) => {
+// Get customers. Search and filters: ?q=&status=&membership=&planId=&expiresFrom=&expiresTo=
+// &expiringWithin=&minBalance=&maxBalance=, ordering: ?sort=-expiryDate,name, projection: ?fields=.
+// With ?page=/?limit= (or ?cursor=) the response is paginated: { customers, total, ... };
+// without them it stays the plain array older clients expect.
+router.get('/customers', authorize(...ALL_STAFF), async (req, res) => {
   try {
-    const customers = await Customer.find();
+    await ensureStatusesFresh();
+
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: 'customers',
+        sheetName: 'Customers',
+        columns: customerColumns,
+        rows: Customer.find(buildCustomerFilter(req.query)).sort(parseCustomerSort(req.query.sort)).lean().cursor()
+      });
+    }
+
+    if (isPaginatedRequest(req.query)) {
+      return res.json(await listCustomers(req.query));
+    }
+
+    const customers = await Customer.find(
+      buildCustomerFilter(req.query),
+      parseCustomerProjection(req.query.fields, { excludeHeavy: false })
+    ).sort(parseCustomerSort(req.query.sort));
     res.json(customers);
   } catch (error) {
     console.error('Error fetching customers:', error);
-    res.status(500).json({ error: 'Failed to fetch customers' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch customers' });
   }
 });
 
 // Create new customer
-router.post('/customers', upload.single('image'), async (req, res) => {
+router.post('/customers', authorize('manager', 'receptionist'), upload.single('image'), validateBody(createCustomerSchema, { protectedFields: PROTECTED_NEW_CUSTOMER_FIELDS }), async (req, res) => {
   try {
+    // A planId fills in membership, fee and expiryDate from the plan catalogue
+    let planTerms = {};
+    if (req.body.planId) {
+      const plan = await getActivePlan(req.body.planId);
+      const { startDate, duration, durationType, ...terms } = getPlanTerms(plan, req.body.joinDate);
+      planTerms = { ...terms, joinDate: startDate };
+    }
+
+    const fee = planTerms.fee !== undefined ? planTerms.fee : req.body.fee;
+
     const customerData = {
       ...req.body,
-      image: req.file ? req.file.filename : '',
-      remaining: parseFloat(req.body.fee) - parseFloat(req.body.paidAmount || 0)
+      ...planTerms,
+      rollNumber: await nextRollNumber(),
+      initialFee: fee,
+      image: req.file ? req.file.filename : ''
     };
 
     const customer = new Customer(customerData);
     await customer.save();
+
+    const payment = await recordPeriodPayment(customer, null, {
+      amount: customer.paidAmount,
+      method: req.body.paymentMethod,
+      receivedBy: req.user.name,
+      note: 'Initial membership payment'
+    });
+
+    if (payment) {
+      await issueReceipt({ type: 'payment', customer, payment });
+    }
+
+    await recordAudit(req, { action: 'create', entity: 'customer', entityId: customer._id, customerId: customer._id, after: customer });
+    if (payment) {
+      await recordAudit(req, { action: 'create', entity: 'payment', entityId: payment._id, customerId: customer._id, after: payment });
+    }
+
     res.status(201).json(customer);
   } catch (error) {
     console.error('Error creating customer:', error);
-    res.status(500).json({ error: 'Failed to create customer' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', fields: getMongooseFieldErrors(error) });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create customer' });
+  }
+});
+
+// Bulk import customers from CSV/XLSX (field "file"). Dry run by default: send dryRun=false to commit.
+router.post('/customers/import', authorize('manager'), importUpload.single('file'), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (parseError) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of { "Column header": "field" }' });
+      }
+    }
+
+    const report = await importCustomers(req.file, { dryRun, mapping, generateRollNumber: nextRollNumber });
+
+    for (const row of report.rows.filter(r => r.status === 'created')) {
+      await recordAudit(req, {
+        action: 'import',
+        entity: 'customer',
+        entityId: row.customerId,
+        customerId: row.customerId,
+        after: row.data,
+        note: `Row ${row.row} of ${req.file.originalname}`
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to import customers',
+      details: error.message
+    });
+  }
+});
+
+// Archived (soft-deleted) customers
+router.get('/customers/archived', authorize('manager'), async (req, res) => {
+  try {
+    const customers = await listArchivedCustomers();
+    res.json(customers);
+  } catch (error) {
+    console.error('Error fetching archived customers:', error);
+    res.status(500).json({ error: 'Failed to fetch archived customers', details: error.message });
+  }
+});
+
+// Roll number health check: gaps, collisions and numbers outside the configured format
+router.get('/customers/roll-numbers/audit', authorize('manager'), async (req, res) => {
+  try {
+    res.json(await auditRollNumbers());
+  } catch (error) {
+    console.error('Error auditing roll numbers:', error);
+    res.status(500).json({ error: 'Failed to audit roll numbers', details: error.message });
   }
 });
 
 // ========== PARAMETERIZED ROUTES (AFTER SPECIFIC ROUTES) ==========
 
 // Get customer renewal history - SPECIFIC route with :id
-router.get('/customers/:id/renewal-history', async (req, res) => {
+router.get('/customers/:id/renewal-history', authorize(...ALL_STAFF), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -146,51 +344,99 @@ router.get('/customers/:id/renewal-history', async (req, res) => {
   }
 });
 
-// Update payment
-router.put('/customers/:id/payment', async (req, res) => {
+// Get payment ledger for a customer
+router.get('/customers/:id/payments', authorize('manager', 'receptionist'), async (req, res) => {
   try {
-    const { amount } = req.body;
-    const customer = await Customer.findById(req.params.id);
-    
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const customer = await Customer.findById(id);
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const newPaidAmount = (customer.paidAmount || 0) + parseFloat(amount);
-    const newRemaining = Math.max(0, customer.fee - newPaidAmount);
+    await ensureOpeningPayment(customer);
+    const payments = await listPayments(id, {
+      includeVoided: req.query.includeVoided !== 'false'
+    });
 
-    const updatedCustomer = await Customer.findByIdAndUpdate(
-      req.params.id,
-      {
-        paidAmount: newPaidAmount,
-        remaining: newRemaining
+    res.json({
+      success: true,
+      customer: {
+        name: customer.name,
+        rollNumber: customer.rollNumber,
+        fee: customer.fee,
+        paidAmount: customer.paidAmount,
+        remaining: customer.remaining
       },
-      { new: true }
-    );
+      count: payments.length,
+      payments
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payments',
+      details: error.message
+    });
+  }
+});
 
-    res.json(updatedCustomer);
+// Record a payment
+router.put('/customers/:id/payment', authorize('manager', 'receptionist'), validateBody(recordPaymentSchema), async (req, res) => {
+  try {
+    const { amount, method, note, date } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const { customer, payment } = await recordPayment(req.params.id, {
+      amount,
+      method,
+      receivedBy: req.user.name,
+      note,
+      date
+    });
+
+    const receipt = await issueReceipt({ type: 'payment', customer, payment });
+    await recordAudit(req, { action: 'create', entity: 'payment', entityId: payment._id, customerId: customer._id, after: payment });
+
+    res.json({ ...customer.toObject(), payment, receipt });
   } catch (error) {
     console.error('Error updating payment:', error);
-    res.status(500).json({ error: 'Failed to update payment' });
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update payment',
+      details: error.message
+    });
   }
 });
 
 // Renew customer membership
-router.put('/customers/:id/renew', async (req, res) => {
+router.put('/customers/:id/renew', authorize('manager', 'receptionist'), validateBody(renewCustomerSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const {
+    const { planId = null, paidAmount = 0 } = req.body;
+    let {
       membership,
       fee,
-      paidAmount = 0,
       startDate,
       expiryDate,
       duration,
       durationType
     } = req.body;
 
+    // A planId fills in the renewal terms and computes expiryDate from the plan duration
+    if (planId) {
+      ({ membership, fee, startDate, expiryDate, duration, durationType } =
+        getPlanTerms(await getActivePlan(planId), startDate));
+    }
+
     console.log('Renewal request received:', {
       id,
+      planId,
       membership,
       fee,
       paidAmount,
@@ -221,15 +467,22 @@ router.put('/customers/:id/renew', async (req, res) => {
 
     console.log('Customer found:', customer.name);
 
+    assertNotFrozen(customer, 'renewing');
+
+    // Keep the outgoing period's payments on the ledger before it is closed
+    await ensureOpeningPayment(customer);
+
     // Convert expiryDate to the same format as stored (string)
     const expiryDateString = new Date(expiryDate).toISOString().split('T')[0];
-    const remaining = parseFloat(fee) - parseFloat(paidAmount);
+    const remaining = Customer.balanceDue(parseFloat(fee), parseFloat(paidAmount));
 
     // Create renewal history record
     const renewalRecord = {
+      _id: new mongoose.Types.ObjectId(),
       previousMembership: customer.membership,
       previousExpiryDate: customer.expiryDate,
       newMembership: membership,
+      planId,
       newExpiryDate: expiryDateString,
       renewalDate: new Date(),
       fee: parseFloat(fee),
@@ -243,6 +496,7 @@ router.put('/customers/:id/renew', async (req, res) => {
     // Prepare update data
     const updateData = {
       membership: membership,
+      planId,
       fee: parseFloat(fee),
       paidAmount: parseFloat(paidAmount),
       remaining: remaining,
@@ -252,12 +506,17 @@ router.put('/customers/:id/renew', async (req, res) => {
       lastRenewalDate: new Date()
     };
 
+    const pushData = { renewalHistory: renewalRecord };
+    if (customer.status !== 'active') {
+      pushData.statusHistory = buildStatusChange(customer.status, 'active', 'Membership renewed', req.user.name);
+    }
+
     // Update customer and add renewal history
     const updatedCustomer = await Customer.findByIdAndUpdate(
       id,
       {
         ...updateData,
-        $push: { renewalHistory: renewalRecord }
+        $push: pushData
       },
       { new: true, runValidators: true }
     );
@@ -266,31 +525,152 @@ router.put('/customers/:id/renew', async (req, res) => {
       return res.status(404).json({ error: 'Failed to update customer' });
     }
 
+    const renewalPayment = await recordPeriodPayment(updatedCustomer, renewalRecord._id, {
+      amount: paidAmount,
+      method: req.body.paymentMethod,
+      receivedBy: req.user.name,
+      note: 'Renewal payment'
+    });
+
+    const receipt = await issueReceipt({
+      type: 'renewal',
+      customer: updatedCustomer,
+      payment: renewalPayment,
+      renewalId: renewalRecord._id
+    });
+
+    await recordAudit(req, {
+      action: 'renew',
+      entity: 'renewal',
+      entityId: renewalRecord._id,
+      customerId: updatedCustomer._id,
+      before: customer,
+      after: updatedCustomer
+    });
+    if (renewalPayment) {
+      await recordAudit(req, { action: 'create', entity: 'payment', entityId: renewalPayment._id, customerId: updatedCustomer._id, after: renewalPayment });
+    }
+
     console.log('Customer renewed successfully:', updatedCustomer.name);
 
     res.json({
       success: true,
       message: 'Membership renewed successfully',
-      customer: updatedCustomer
+      customer: updatedCustomer,
+      receipt
     });
 
   } catch (error) {
     console.error('Error renewing membership:', error);
-    res.status(500).json({ 
-      error: 'Failed to renew membership',
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to renew membership',
       details: error.message 
     });
   }
 });
 
+// Freeze (pause) membership
+router.post('/customers/:id/freeze', authorize('manager', 'receptionist'), validateBody(freezeSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const before = await Customer.findById(id).lean();
+    const result = await freezeMembership(id, { reason, frozenBy: req.user.name });
+    await recordAudit(req, { action: 'freeze', entity: 'customer', entityId: id, customerId: id, before, after: result.customer });
+
+    res.json({
+      success: true,
+      message: 'Membership frozen successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error freezing membership:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to freeze membership',
+      details: error.message
+    });
+  }
+});
+
+// Unfreeze membership and extend expiry by the frozen days
+router.post('/customers/:id/unfreeze', authorize('manager', 'receptionist'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const before = await Customer.findById(id).lean();
+    const result = await unfreezeMembership(id, { unfrozenBy: req.user.name });
+    await recordAudit(req, { action: 'unfreeze', entity: 'customer', entityId: id, customerId: id, before, after: result.customer });
+
+    res.json({
+      success: true,
+      message: `Membership unfrozen, expiry extended by ${result.creditedDays} days`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error unfreezing membership:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to unfreeze membership',
+      details: error.message
+    });
+  }
+});
+
+// Get member card: QR code image (default), printable PDF (?format=pdf) or raw token (?format=token)
+router.get('/customers/:id/card', authorize(...ALL_STAFF), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'png' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    if (format === 'token') {
+      return res.json({ rollNumber: customer.rollNumber, token: signCardToken(customer.rollNumber) });
+    }
+
+    if (format === 'pdf') {
+      const doc = await buildCardPdf(customer);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="card-${customer.rollNumber}.pdf"`);
+      doc.pipe(res);
+      return doc.end();
+    }
+
+    const png = await generateQrPng(customer);
+    res.setHeader('Content-Type', 'image/png');
+    res.send(png);
+  } catch (error) {
+    console.error('Error generating member card:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to generate member card',
+      details: error.message
+    });
+  }
+});
+
 // Get single customer - MUST BE LAST among GET routes with :id
-router.get('/customers/:id', async (req, res) => {
+router.get('/customers/:id', authorize(...ALL_STAFF), async (req, res) => {
   try {
     const customer = await Customer.findById(req.params.id);
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
-    res.json(customer);
+    res.json(await refreshCustomerStatus(customer));
   } catch (error) {
     console.error('Error fetching customer:', error);
     res.status(500).json({ error: 'Failed to fetch customer' });
@@ -298,46 +678,107 @@ router.get('/customers/:id', async (req, res) => {
 });
 
 // Update customer
-router.put('/customers/:id', upload.single('image'), async (req, res) => {
+router.put('/customers/:id', authorize('manager', 'receptionist'), upload.single('image'), validateBody(updateCustomerSchema, { protectedFields: PROTECTED_CUSTOMER_FIELDS }), async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+
     const updateData = { ...req.body };
-    
+
     if (req.file) {
       updateData.image = req.file.filename;
     }
 
-    if (updateData.fee || updateData.paidAmount) {
-      updateData.remaining = parseFloat(updateData.fee || 0) - parseFloat(updateData.paidAmount || 0);
+    const before = await Customer.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    // Keep remaining in step with a fee correction; paidAmount only moves through payments
+    if (updateData.fee !== undefined) {
+      updateData.remaining = Customer.balanceDue(updateData.fee, before.paidAmount);
     }
 
     const customer = await Customer.findByIdAndUpdate(
       req.params.id,
       updateData,
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
+    await recordAudit(req, { action: 'update', entity: 'customer', entityId: customer._id, customerId: customer._id, before, after: customer });
+
     res.json(customer);
   } catch (error) {
     console.error('Error updating customer:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', fields: getMongooseFieldErrors(error) });
+    }
     res.status(500).json({ error: 'Failed to update customer' });
   }
 });
 
 // Delete customer
-router.delete('/customers/:id', async (req, res) => {
+router.delete('/customers/:id', authorize('owner'), async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndDelete(req.params.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-    res.json({ message: 'Customer deleted successfully' });
+    const customer = await archiveCustomer(req.params.id, { deletedBy: req.user.name });
+    await recordAudit(req, {
+      action: 'archive',
+      entity: 'customer',
+      entityId: customer._id,
+      customerId: customer._id,
+      before: { archived: false, deletedAt: null, deletedBy: '' },
+      after: { archived: true, deletedAt: customer.deletedAt, deletedBy: customer.deletedBy }
+    });
+    res.json({
+      message: 'Customer archived successfully',
+      customer
+    });
   } catch (error) {
     console.error('Error deleting customer:', error);
-    res.status(500).json({ error: 'Failed to delete customer' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete customer' });
+  }
+});
+
+// Restore an archived customer
+router.post('/customers/:id/restore', authorize('owner'), async (req, res) => {
+  try {
+    const before = await Customer.findById(req.params.id).setOptions({ includeArchived: true }).lean();
+    const customer = await restoreCustomer(req.params.id);
+    await recordAudit(req, { action: 'restore', entity: 'customer', entityId: customer._id, customerId: customer._id, before, after: customer });
+    res.json({
+      message: 'Customer restored successfully',
+      customer
+    });
+  } catch (error) {
+    console.error('Error restoring customer:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to restore customer' });
+  }
+});
+
+// Permanently delete an archived customer and their records; payments and receipts are kept anonymized (owner only)
+router.delete('/customers/:id/purge', authorize('owner'), async (req, res) => {
+  try {
+    const result = await purgeCustomer(req.params.id);
+    await recordAudit(req, {
+      action: 'purge',
+      entity: 'customer',
+      entityId: result.customerId,
+      customerId: result.customerId,
+      before: { rollNumber: result.rollNumber, name: result.name },
+      note: `Deleted ${result.deleted.attendance} attendance records, ${result.deleted.messages} messages, ${result.deleted.queuedMessages} queued messages; anonymized ${result.anonymized.payments} payments, ${result.anonymized.receipts} receipts`
+    });
+    res.json({
+      message: 'Customer purged permanently',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error purging customer:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to purge customer' });
   }
 });
 
@@ -0,0 +1,107 @@
+import express from 'express';
+import {
+  listQueuedMessages,
+  getQueuedMessage,
+  retryMessage,
+  cancelMessage,
+  cancelBatch
+} from '../services/messageQueueService.js';
+import { getConversation } from '../services/messageLogService.js';
+import messageQueueJob from '../jobs/messageQueueJob.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Messages sent to and received from one customer, oldest first (?before=<createdAt>&limit=)
+router.get('/customers/:customerId/conversation', authorize('manager', 'receptionist'), async (req, res) => {
+  try {
+    res.json(await getConversation(req.params.customerId, req.query));
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch conversation',
+      details: error.message
+    });
+  }
+});
+
+// Outbound queue with counts by status (?status=queued,dead&type=&batchId=&customerId=&page=&limit=)
+router.get('/queue', authorize('manager'), async (req, res) => {
+  try {
+    res.json(await listQueuedMessages(req.query));
+  } catch (error) {
+    console.error('Error fetching message queue:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch message queue',
+      details: error.message
+    });
+  }
+});
+
+// Send one batch of due messages now
+const processQueueNow = async (req, res) => {
+  try {
+    res.json(await messageQueueJob.run());
+  } catch (error) {
+    console.error('Error processing message queue:', error);
+    res.status(500).json({ error: 'Failed to process message queue', details: error.message });
+  }
+};
+
+// GET for Vercel Cron (Bearer CRON_SECRET), which only sends GET requests; see vercel.json.
+// The every-minute schedule there needs a Vercel Pro plan (Hobby only allows daily crons).
+// A WhatsApp Web session can't live in a serverless function, so on Vercel set
+// MESSAGING_TRANSPORT=twilio; with no transport available the run is skipped and messages wait.
+router.get('/queue/process', authorize('system'), processQueueNow);
+router.post('/queue/process', authorize('manager', 'system'), processQueueNow);
+
+// Cancel everything still waiting in a batch (e.g. a fee reminder run)
+router.post('/queue/batches/:batchId/cancel', authorize('manager'), async (req, res) => {
+  try {
+    res.json(await cancelBatch(req.params.batchId, { cancelledBy: req.user.name }));
+  } catch (error) {
+    console.error('Error cancelling message batch:', error);
+    res.status(500).json({ error: 'Failed to cancel message batch', details: error.message });
+  }
+});
+
+router.get('/queue/:id', authorize('manager'), async (req, res) => {
+  try {
+    res.json(await getQueuedMessage(req.params.id));
+  } catch (error) {
+    console.error('Error fetching queued message:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch message',
+      details: error.message
+    });
+  }
+});
+
+// Requeue a dead or cancelled message
+router.post('/queue/:id/retry', authorize('manager'), async (req, res) => {
+  try {
+    const message = await retryMessage(req.params.id);
+    res.json({ message: 'Message queued for retry', queuedMessage: message });
+  } catch (error) {
+    console.error('Error retrying message:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to retry message',
+      details: error.message
+    });
+  }
+});
+
+router.post('/queue/:id/cancel', authorize('manager'), async (req, res) => {
+  try {
+    const message = await cancelMessage(req.params.id, { cancelledBy: req.user.name });
+    res.json({ message: 'Message cancelled', queuedMessage: message });
+  } catch (error) {
+    console.error('Error cancelling message:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to cancel message',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import { voidPayment, correctPayment } from '../services/paymentService.js';
+import { issueReceipt, voidReceiptsForPayment } from '../services/receiptService.js';
+import { recordAudit } from '../services/auditService.js';
+import { authorize } from '../middleware/auth.js';
+import { gymDateStart, addDays } from '../utils/gymDate.js';
+import { validateBody } from '../middleware/validate.js';
+import { voidPaymentSchema, correctPaymentSchema } from '../validators/paymentValidators.js';
+
+const router = express.Router();
+
+// List payments across all customers (cash drawer reconciliation). Owner only: the totals are revenue.
+router.get('/', authorize('owner'), async (req, res) => {
+  try {
+    const { startDate, endDate, method, receivedBy, status = 'valid' } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (method) query.method = method;
+    if (receivedBy) query.receivedBy = receivedBy;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = gymDateStart(startDate);
+      // endDate is inclusive: everything before the next day starts at the gym
+      if (endDate) query.date.$lt = gymDateStart(addDays(endDate, 1));
+    }
+
+    const payments = await Payment.find(query)
+      .populate({ path: 'customerId', select: 'name rollNumber', options: { includeArchived: true } })
+      .sort({ date: -1 });
+
+    const totalsByMethod = payments.reduce((acc, payment) => {
+      if (payment.status === 'valid') {
+        acc[payment.method] = (acc[payment.method] || 0) + payment.amount;
+      }
+      return acc;
+    }, {});
+
+    const total = Object.values(totalsByMethod).reduce((sum, amount) => sum + amount, 0);
+
+    res.json({
+      success: true,
+      count: payments.length,
+      total,
+      totalsByMethod,
+      payments
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payments',
+      details: error.message
+    });
+  }
+});
+
+// Void a payment
+router.post('/:paymentId/void', authorize('manager'), validateBody(voidPaymentSchema), async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ error: 'Invalid payment ID' });
+    }
+
+    const before = await Payment.findById(paymentId).lean();
+    const { payment, customer } = await voidPayment(paymentId, { reason, voidedBy: req.user.name });
+    await voidReceiptsForPayment(payment._id);
+    await recordAudit(req, { action: 'void', entity: 'payment', entityId: payment._id, customerId: payment.customerId, before, after: payment });
+
+    res.json({
+      success: true,
+      message: 'Payment voided successfully',
+      payment,
+      customer
+    });
+  } catch (error) {
+    console.error('Error voiding payment:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to void payment',
+      details: error.message
+    });
+  }
+});
+
+// Correct a payment (voids the original and records a replacement)
+router.put('/:paymentId', authorize('manager'), validateBody(correctPaymentSchema), async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ error: 'Invalid payment ID' });
+    }
+
+    const { original, payment, customer } = await correctPayment(paymentId, { ...req.body, correctedBy: req.user.name });
+    await voidReceiptsForPayment(original._id);
+    const receipt = await issueReceipt({ type: 'payment', customer, payment });
+    await recordAudit(req, {
+      action: 'correct',
+      entity: 'payment',
+      entityId: payment._id,
+      customerId: payment.customerId,
+      before: { amount: original.amount, method: original.method, date: original.date, receivedBy: original.receivedBy, note: original.note },
+      after: { amount: payment.amount, method: payment.method, date: payment.date, receivedBy: payment.receivedBy, note: payment.note },
+      note: `Replaces payment ${original._id}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment corrected successfully',
+      original,
+      payment,
+      receipt,
+      customer
+    });
+  } catch (error) {
+    console.error('Error correcting payment:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to correct payment',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Plan from '../models/Plan.js';
+import { authorize, ALL_STAFF } from '../middleware/auth.js';
+import { validateBody, getMongooseFieldErrors } from '../middleware/validate.js';
+import { createPlanSchema, updatePlanSchema } from '../validators/planValidators.js';
+
+const router = express.Router();
+
+// Mongoose validation and duplicate names in the same shape as validateBody
+const planErrorFields = (error) => {
+  if (error.code === 11000) return { name: 'is already used by another plan' };
+  if (error.name === 'ValidationError') return getMongooseFieldErrors(error);
+  return null;
+};
+
+// Get all plans (?active=true for the ones that can be sold)
+router.get('/', authorize(...ALL_STAFF), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const plans = await Plan.find(query).sort({ price: 1 });
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+});
+
+// Get single plan
+router.get('/:id', authorize(...ALL_STAFF), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid plan ID' });
+    }
+
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    console.error('Error fetching plan:', error);
+    res.status(500).json({ error: 'Failed to fetch plan' });
+  }
+});
+
+// Create plan
+router.post('/', authorize('manager'), validateBody(createPlanSchema), async (req, res) => {
+  try {
+    const plan = new Plan(req.body);
+    await plan.save();
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    const fields = planErrorFields(error);
+    if (fields) {
+      return res.status(400).json({ error: 'Validation failed', fields });
+    }
+    res.status(500).json({ error: 'Failed to create plan' });
+  }
+});
+
+// Update plan (existing customers and renewal history keep the terms they were sold)
+router.put('/:id', authorize('manager'), validateBody(updatePlanSchema), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid plan ID' });
+    }
+
+    const plan = await Plan.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    const fields = planErrorFields(error);
+    if (fields) {
+      return res.status(400).json({ error: 'Validation failed', fields });
+    }
+    res.status(500).json({ error: 'Failed to update plan' });
+  }
+});
+
+// Deactivate plan - customers still reference it, so it is never removed
+router.delete('/:id', authorize('manager'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid plan ID' });
+    }
+
+    const plan = await Plan.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json({ message: 'Plan deactivated successfully', plan });
+  } catch (error) {
+    console.error('Error deactivating plan:', error);
+    res.status(500).json({ error: 'Failed to deactivate plan' });
+  }
+});
+
+export default router;
@@ -0,0 +1,91 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Receipt from '../models/Receipt.js';
+import { buildReceiptPdf, getReceiptFilename } from '../services/receiptService.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List receipts, optionally for one customer
+router.get('/', authorize('manager', 'receptionist'), async (req, res) => {
+  try {
+    const { customerId } = req.query;
+    const query = {};
+
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        return res.status(400).json({ error: 'Invalid customer ID' });
+      }
+      query.customerId = customerId;
+    }
+
+    const receipts = await Receipt.find(query).sort({ receiptNumber: -1 });
+
+    res.json({
+      success: true,
+      count: receipts.length,
+      receipts
+    });
+  } catch (error) {
+    console.error('Error fetching receipts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch receipts',
+      details: error.message
+    });
+  }
+});
+
+// Download receipt as PDF
+router.get('/:id/pdf', authorize('manager', 'receptionist'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid receipt ID' });
+    }
+
+    const receipt = await Receipt.findById(id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getReceiptFilename(receipt)}"`);
+
+    const doc = buildReceiptPdf(receipt);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Error generating receipt PDF:', error);
+    res.status(500).json({
+      error: 'Failed to generate receipt',
+      details: error.message
+    });
+  }
+});
+
+// Get single receipt
+router.get('/:id', authorize('manager', 'receptionist'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid receipt ID' });
+    }
+
+    const receipt = await Receipt.findById(id);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json(receipt);
+  } catch (error) {
+    console.error('Error fetching receipt:', error);
+    res.status(500).json({
+      error: 'Failed to fetch receipt',
+      details: error.message
+    });
+  }
+});
+
+export default router;
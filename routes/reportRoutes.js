@@ -1,95 +1,157 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import moment from 'moment';
 import Customer from '../models/Customer.js';
 import Attendance from '../models/Attendance.js';
+import { ensureStatusesFresh } from '../services/membershipStatusService.js';
+import { getRevenueReport, getYearRevenue, getCollectedTotal } from '../services/revenueService.js';
+import { getAgeingReport, getCustomerAgeing, AGEING_BUCKETS } from '../services/receivablesService.js';
+import { getExportFormat, sendExport, customerColumns } from '../services/exportService.js';
+import { authorize } from '../middleware/auth.js';
+import { GYM_TIMEZONE, gymToday, gymDateStart, addDays } from '../utils/gymDate.js';
 
 const router = express.Router();
 
-// Get dashboard statistics
-router.get('/dashboard-stats', async (req, res) => {
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// $match stage for attendance analytics; defaults to the last 30 days
+const buildAttendanceMatch = ({ startDate, endDate }) => {
+  const end = endDate || gymToday();
+  const start = startDate || addDays(end, -29);
+
+  return { startDate: start, endDate: end, match: { date: { $gte: start, $lte: end } } };
+};
+
+// Dashboard stats are cached briefly; the dashboard polls and the numbers don't need to be live
+const DASHBOARD_CACHE_MS = (parseInt(process.env.DASHBOARD_CACHE_SECONDS) || 30) * 1000;
+let dashboardCache = { data: null, expiresAt: 0 };
+
+const computeDashboardStats = async () => {
+  const today = gymToday();
+  const monthStart = `${today.slice(0, 7)}-01`;
+
+  const [[customerStats], todayAttendance, totalAttendance, totalIncome, monthlyIncome] = await Promise.all([
+    Customer.aggregate([
+      { $match: { archived: { $ne: true } } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalCustomers: { $sum: 1 },
+                activeMembers: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+                expiredMembers: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+                pendingAmount: { $sum: { $ifNull: ['$remaining', 0] } }
+              }
+            }
+          ],
+          memberships: [
+            { $group: { _id: '$membership', count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]),
+    Attendance.countDocuments({ date: today }),
+    Attendance.estimatedDocumentCount(),
+    // Income is cash actually collected, not fees billed
+    getCollectedTotal(),
+    getCollectedTotal(gymDateStart(monthStart), gymDateStart(moment(monthStart).add(1, 'month').format('YYYY-MM-DD')))
+  ]);
+
+  const totals = customerStats.totals[0] || {
+    totalCustomers: 0,
+    activeMembers: 0,
+    expiredMembers: 0,
+    pendingAmount: 0
+  };
+
+  const membershipStats = { regular: 0, training: 0, premium: 0 };
+  customerStats.memberships.forEach(m => {
+    membershipStats[m._id] = m.count;
+  });
+
+  return {
+    totalCustomers: totals.totalCustomers,
+    activeMembers: totals.activeMembers,
+    expiredMembers: totals.expiredMembers,
+    todayAttendance,
+    totalIncome,
+    pendingAmount: totals.pendingAmount,
+    monthlyIncome,
+    membershipStats,
+    totalAttendance
+  };
+};
+
+// Revenue is owner-only: other roles get the dashboard without the income figures
+const withoutIncome = ({ totalIncome, monthlyIncome, ...stats }) => stats;
+
+// Get dashboard statistics (?refresh=true bypasses the cache)
+router.get('/dashboard-stats', authorize('manager'), async (req, res) => {
   try {
-    const customers = await Customer.find();
-    const attendance = await Attendance.find();
-    
-    const today = new Date().toISOString().split('T')[0];
-    const currentMonth = new Date().getMonth();
-    const currentYear = new Date().getFullYear();
-    
-    // Calculate statistics
-    const totalCustomers = customers.length;
-    const activeMembers = customers.filter(c => 
-      new Date(c.expiryDate) > new Date()
-    ).length;
-    const expiredMembers = totalCustomers - activeMembers;
-    
-    const todayAttendance = attendance.filter(a => a.date === today).length;
-    const totalIncome = customers.reduce((sum, c) => sum + (c.fee || 0), 0);
-    const pendingAmount = customers.reduce((sum, c) => sum + (c.remaining || 0), 0);
-    
-    const monthlyIncome = customers
-      .filter(c => {
-        const joinDate = new Date(c.joinDate);
-        return joinDate.getMonth() === currentMonth && 
-               joinDate.getFullYear() === currentYear;
-      })
-      .reduce((sum, c) => sum + (c.fee || 0), 0);
-
-    const membershipStats = {
-      regular: customers.filter(c => c.membership === 'regular').length,
-      training: customers.filter(c => c.membership === 'training').length,
-      premium: customers.filter(c => c.membership === 'premium').length,
-    };
+    const respond = (data) => res.json(req.user.role === 'owner' ? data : withoutIncome(data));
 
-    res.json({
-      totalCustomers,
-      activeMembers,
-      expiredMembers,
-      todayAttendance,
-      totalIncome,
-      pendingAmount,
-      monthlyIncome,
-      membershipStats,
-      totalAttendance: attendance.length
-    });
+    if (req.query.refresh !== 'true' && dashboardCache.data && Date.now() < dashboardCache.expiresAt) {
+      return respond(dashboardCache.data);
+    }
+
+    await ensureStatusesFresh();
+    const data = await computeDashboardStats();
+    dashboardCache = { data, expiresAt: Date.now() + DASHBOARD_CACHE_MS };
+
+    respond(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get monthly income report
-router.get('/monthly-income', async (req, res) => {
+// Get monthly income report: cash collected per month (billed/outstanding alongside)
+router.get('/monthly-income', authorize('owner'), async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
-    
-    const customers = await Customer.find({
-      joinDate: {
-        $gte: `${year}-01-01`,
-        $lt: `${parseInt(year) + 1}-01-01`
-      }
-    });
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const { months } = await getYearRevenue(year);
 
-    const monthlyData = Array(12).fill(0).map((_, index) => {
-      const month = index + 1;
-      const monthlyIncome = customers
-        .filter(c => {
-          const joinDate = new Date(c.joinDate);
-          return joinDate.getMonth() === index;
-        })
-        .reduce((sum, c) => sum + (c.fee || 0), 0);
-      
-      return {
-        month: new Date(year, index).toLocaleString('default', { month: 'long' }),
-        income: monthlyIncome
-      };
-    });
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: `monthly-income-${year}`,
+        sheetName: `Income ${year}`,
+        columns: [
+          { header: 'Month', key: 'month', width: 14 },
+          { header: 'Collected', key: 'collected', width: 14 },
+          { header: 'Billed', key: 'billed', width: 14 },
+          { header: 'Outstanding', key: 'outstanding', width: 14 }
+        ],
+        rows: months
+      });
+    }
+
+    res.json(months.map(m => ({
+      month: m.month,
+      income: m.collected,
+      billed: m.billed,
+      outstanding: m.outstanding
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(monthlyData);
+// Get revenue report: billed vs collected vs outstanding per month, plan and payment method,
+// compared with the previous year
+router.get('/revenue', authorize('owner'), async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    res.json(await getRevenueReport(year));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get attendance report
-router.get('/attendance-report', async (req, res) => {
+router.get('/attendance-report', authorize('manager', 'trainer'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -99,7 +161,7 @@ router.get('/attendance-report', async (req, res) => {
     }
 
     const attendance = await Attendance.find(query)
-      .populate('customerId', 'name rollNumber')
+      .populate({ path: 'customerId', select: 'name rollNumber', options: { includeArchived: true } })
       .sort({ date: -1 });
 
     // Group by date
@@ -115,6 +177,262 @@ router.get('/attendance-report', async (req, res) => {
     res.json({
       attendanceByDate,
       totalRecords: attendance.length,
+      autoClosedRecords: attendance.filter(record => record.autoClosed).length,
+      dateRange: { startDate, endDate }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get time spent in the gym (sum/average of session durations)
+router.get('/time-spent', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const { startDate, endDate, customerId, excludeAutoClosed } = req.query;
+
+    const match = { duration: { $ne: null } };
+    if (excludeAutoClosed === 'true') {
+      match.autoClosed = { $ne: true };
+    }
+    if (startDate && endDate) {
+      match.date = { $gte: startDate, $lte: endDate };
+    }
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        return res.status(400).json({ error: 'Invalid customer ID' });
+      }
+      match.customerId = new mongoose.Types.ObjectId(customerId);
+    }
+
+    const [result] = await Attendance.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                sessions: { $sum: 1 },
+                autoClosedSessions: { $sum: { $cond: ['$autoClosed', 1, 0] } },
+                totalMinutes: { $sum: '$duration' },
+                averageMinutes: { $avg: '$duration' }
+              }
+            }
+          ],
+          byCustomer: [
+            {
+              $group: {
+                _id: '$customerId',
+                customerName: { $first: '$customerName' },
+                rollNumber: { $first: '$rollNumber' },
+                sessions: { $sum: 1 },
+                totalMinutes: { $sum: '$duration' },
+                averageMinutes: { $avg: '$duration' }
+              }
+            },
+            { $sort: { totalMinutes: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { sessions: 0, autoClosedSessions: 0, totalMinutes: 0, averageMinutes: 0 };
+
+    res.json({
+      sessions: totals.sessions,
+      autoClosedSessions: totals.autoClosedSessions,
+      totalMinutes: totals.totalMinutes,
+      averageMinutes: Math.round(totals.averageMinutes || 0),
+      byCustomer: result.byCustomer.map(c => ({
+        customerId: c._id,
+        customerName: c.customerName,
+        rollNumber: c.rollNumber,
+        sessions: c.sessions,
+        totalMinutes: c.totalMinutes,
+        averageMinutes: Math.round(c.averageMinutes)
+      })),
+      dateRange: { startDate, endDate }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Visits by hour of day (gym local time)
+router.get('/attendance-analytics/peak-hours', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const { startDate, endDate, match } = buildAttendanceMatch(req.query);
+
+    const results = await Attendance.aggregate([
+      { $match: match },
+      { $group: { _id: { $hour: { date: '$checkInTime', timezone: GYM_TIMEZONE } }, visits: { $sum: 1 } } }
+    ]);
+
+    const visitsByHour = Array(24).fill(0);
+    results.forEach(r => {
+      visitsByHour[r._id] = r.visits;
+    });
+
+    const hours = visitsByHour.map((visits, hour) => ({ hour, visits }));
+    const peakHours = [...hours].sort((a, b) => b.visits - a.visits).filter(h => h.visits > 0).slice(0, 3);
+
+    res.json({ hours, peakHours, dateRange: { startDate, endDate } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Visits by weekday x hour (heatmap)
+router.get('/attendance-analytics/heatmap', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const { startDate, endDate, match } = buildAttendanceMatch(req.query);
+
+    const results = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            day: { $dayOfWeek: { date: '$checkInTime', timezone: GYM_TIMEZONE } },
+            hour: { $hour: { date: '$checkInTime', timezone: GYM_TIMEZONE } }
+          },
+          visits: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+    const heatmap = WEEKDAYS.map(day => ({ day, hours: Array(24).fill(0) }));
+    results.forEach(r => {
+      heatmap[r._id.day - 1].hours[r._id.hour] = r.visits;
+    });
+
+    res.json({ heatmap, dateRange: { startDate, endDate } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Average visits per member per week
+router.get('/attendance-analytics/frequency', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const { startDate, endDate, match } = buildAttendanceMatch(req.query);
+    const weeks = Math.max(1, (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24 * 7) + 1 / 7);
+
+    const members = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$customerId',
+          customerName: { $first: '$customerName' },
+          rollNumber: { $first: '$rollNumber' },
+          visits: { $sum: 1 },
+          daysVisited: { $addToSet: '$date' }
+        }
+      },
+      {
+        $project: {
+          customerName: 1,
+          rollNumber: 1,
+          visits: 1,
+          daysVisited: { $size: '$daysVisited' },
+          visitsPerWeek: { $round: [{ $divide: ['$visits', weeks] }, 2] }
+        }
+      },
+      { $sort: { visits: -1 } }
+    ]);
+
+    const totalVisits = members.reduce((sum, m) => sum + m.visits, 0);
+
+    res.json({
+      activeMembers: members.length,
+      averageVisitsPerMemberPerWeek: members.length
+        ? Math.round((totalVisits / members.length / weeks) * 100) / 100
+        : 0,
+      members: members.map(({ _id, ...m }) => ({ customerId: _id, ...m })),
+      dateRange: { startDate, endDate }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active members who haven't visited in N days (default 14)
+router.get('/attendance-analytics/inactive-members', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 14;
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const members = await Customer.aggregate([
+      { $match: { status: 'active', archived: { $ne: true } } },
+      {
+        $lookup: {
+          from: Attendance.collection.name,
+          let: { customerId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$customerId', '$$customerId'] } } },
+            { $sort: { checkInTime: -1 } },
+            { $limit: 1 },
+            { $project: { checkInTime: 1 } }
+          ],
+          as: 'lastVisit'
+        }
+      },
+      { $addFields: { lastVisit: { $arrayElemAt: ['$lastVisit.checkInTime', 0] } } },
+      { $match: { $or: [{ lastVisit: null }, { lastVisit: { $lt: since } }] } },
+      { $project: { name: 1, rollNumber: 1, phone: 1, membership: 1, expiryDate: 1, lastVisit: 1 } },
+      { $sort: { lastVisit: 1 } }
+    ]);
+
+    res.json({
+      days,
+      count: members.length,
+      members
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Average session length overall and by weekday
+router.get('/attendance-analytics/session-length', authorize('manager', 'trainer'), async (req, res) => {
+  try {
+    const { startDate, endDate, match } = buildAttendanceMatch(req.query);
+    if (req.query.excludeAutoClosed === 'true') {
+      match.autoClosed = { $ne: true };
+    }
+
+    const [result] = await Attendance.aggregate([
+      { $match: { ...match, duration: { $ne: null } } },
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, sessions: { $sum: 1 }, averageMinutes: { $avg: '$duration' } } }
+          ],
+          byWeekday: [
+            {
+              $group: {
+                _id: { $dayOfWeek: { date: '$checkInTime', timezone: GYM_TIMEZONE } },
+                sessions: { $sum: 1 },
+                averageMinutes: { $avg: '$duration' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const overall = result.overall[0] || { sessions: 0, averageMinutes: 0 };
+
+    res.json({
+      sessions: overall.sessions,
+      averageMinutes: Math.round(overall.averageMinutes || 0),
+      byWeekday: result.byWeekday.map(d => ({
+        day: WEEKDAYS[d._id - 1],
+        sessions: d.sessions,
+        averageMinutes: Math.round(d.averageMinutes)
+      })),
       dateRange: { startDate, endDate }
     });
   } catch (error) {
@@ -123,8 +441,19 @@ router.get('/attendance-report', async (req, res) => {
 });
 
 // Get pending payments report
-router.get('/pending-payments', async (req, res) => {
+router.get('/pending-payments', authorize('manager'), async (req, res) => {
   try {
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: 'pending-payments',
+        sheetName: 'Pending Payments',
+        columns: customerColumns,
+        rows: Customer.find({ remaining: { $gt: 0 } }).sort({ remaining: -1 }).lean().cursor()
+      });
+    }
+
     const pendingPayments = await Customer.find({
       remaining: { $gt: 0 }
     }).sort({ remaining: -1 });
@@ -141,31 +470,79 @@ router.get('/pending-payments', async (req, res) => {
   }
 });
 
+// Get accounts receivable ageing report (?bucket=90%2B&membership=regular)
+router.get('/receivables-ageing', authorize('manager'), async (req, res) => {
+  try {
+    const { bucket, membership } = req.query;
+
+    if (bucket && !AGEING_BUCKETS.includes(bucket)) {
+      return res.status(400).json({ error: `Invalid bucket. Allowed: ${AGEING_BUCKETS.join(', ')}` });
+    }
+
+    res.json(await getAgeingReport({ bucket, membership }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get receivables ageing drill-down for one customer
+router.get('/receivables-ageing/:customerId', authorize('manager'), async (req, res) => {
+  try {
+    const ageing = await getCustomerAgeing(req.params.customerId);
+    if (!ageing) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(ageing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get membership expiry report
-router.get('/expiry-report', async (req, res) => {
+router.get('/expiry-report', authorize('manager', 'receptionist'), async (req, res) => {
   try {
-    const today = new Date();
-    const nextWeek = new Date(today);
-    nextWeek.setDate(today.getDate() + 7);
-    const nextMonth = new Date(today);
-    nextMonth.setMonth(today.getMonth() + 1);
+    const today = gymToday();
+    const nextWeek = addDays(today, 7);
+    const nextMonth = moment(today, 'YYYY-MM-DD').add(1, 'month').format('YYYY-MM-DD');
+
+    const format = getExportFormat(req);
+    if (format) {
+      return await sendExport(res, {
+        format,
+        filename: `expiry-report-${today}`,
+        sheetName: 'Expiry Report',
+        columns: [
+          {
+            header: 'Category',
+            key: 'category',
+            width: 12,
+            value: c => (c.expiryDate < today ? 'expired' : c.expiryDate <= nextWeek ? 'this week' : 'this month')
+          },
+          ...customerColumns
+        ],
+        rows: Customer.find({ expiryDate: { $lte: nextMonth } })
+          .sort({ expiryDate: 1 })
+          .lean()
+          .cursor()
+      });
+    }
 
     const expiringThisWeek = await Customer.find({
       expiryDate: {
-        $gte: today.toISOString().split('T')[0],
-        $lte: nextWeek.toISOString().split('T')[0]
+        $gte: today,
+        $lte: nextWeek
       }
     });
 
     const expiringThisMonth = await Customer.find({
       expiryDate: {
-        $gte: today.toISOString().split('T')[0],
-        $lte: nextMonth.toISOString().split('T')[0]
+        $gte: today,
+        $lte: nextMonth
       }
     });
 
     const expired = await Customer.find({
-      expiryDate: { $lt: today.toISOString().split('T')[0] }
+      expiryDate: { $lt: today }
     });
 
     res.json({
@@ -0,0 +1,91 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Staff from '../models/Staff.js';
+import { hashPassword } from '../services/authService.js';
+import { authorize } from '../middleware/auth.js';
+import { validateBody, getMongooseFieldErrors } from '../middleware/validate.js';
+import { createStaffSchema, updateStaffSchema } from '../validators/staffValidators.js';
+
+const router = express.Router();
+
+// Staff accounts are managed by owners only
+router.use(authorize('owner'));
+
+// Keep at least one active owner so the gym can't lock itself out
+const isLastActiveOwner = async (staff) => {
+  if (staff.role !== 'owner' || !staff.active) return false;
+  return (await Staff.countDocuments({ role: 'owner', active: true })) <= 1;
+};
+
+// List staff accounts
+router.get('/', async (req, res) => {
+  try {
+    const staff = await Staff.find().sort({ role: 1, name: 1 });
+    res.json(staff);
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ error: 'Failed to fetch staff' });
+  }
+});
+
+// Create a staff account { name, username, password, role }
+router.post('/', validateBody(createStaffSchema), async (req, res) => {
+  try {
+    const { name, username, password, role } = req.body;
+
+    const staff = new Staff({ name, username, role, passwordHash: await hashPassword(password) });
+    await staff.save();
+    res.status(201).json(staff);
+  } catch (error) {
+    console.error('Error creating staff member:', error.message);
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Validation failed', fields: { username: 'is already taken' } });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', fields: getMongooseFieldErrors(error) });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create staff member' });
+  }
+});
+
+// Update name, role, active flag or reset the password of a staff account
+router.put('/:id', validateBody(updateStaffSchema), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid staff ID' });
+    }
+
+    const staff = await Staff.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const { name, role, active, password } = req.body;
+
+    const demotesOwner = (role !== undefined && role !== 'owner') || active === false;
+    if (demotesOwner && await isLastActiveOwner(staff)) {
+      return res.status(400).json({ error: 'Cannot remove the last active owner' });
+    }
+
+    if (name !== undefined) staff.name = name;
+    if (role !== undefined) staff.role = role;
+    if (active !== undefined) staff.active = active;
+
+    // Role changes, deactivation and password resets end existing sessions
+    if (password !== undefined) staff.passwordHash = await hashPassword(password);
+    if (staff.isModified('role') || staff.isModified('active') || password !== undefined) {
+      staff.tokenVersion += 1;
+    }
+
+    await staff.save();
+    res.json(staff);
+  } catch (error) {
+    console.error('Error updating staff member:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', fields: getMongooseFieldErrors(error) });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update staff member' });
+  }
+});
+
+export default router;
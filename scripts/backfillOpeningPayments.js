@@ -0,0 +1,35 @@
+// scripts/backfillOpeningPayments.js
+// Records the paidAmount of customers created before the payment ledger existed as an
+// opening payment, so revenue reports based on collected cash include them.
+// Safe to run more than once: customers whose current period already has payments are skipped.
+//
+// Usage: npm run migrate:payments
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import { ensureOpeningPayment } from '../services/paymentService.js';
+
+dotenv.config();
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/gym_management');
+  console.log('✅ MongoDB Connected');
+
+  let created = 0;
+  const cursor = Customer.find({ paidAmount: { $gt: 0 } }).cursor();
+
+  for await (const customer of cursor) {
+    if (await ensureOpeningPayment(customer)) {
+      created++;
+    }
+  }
+
+  console.log(`📊 Recorded ${created} opening payments`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('❌ Payment backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// scripts/checkRollNumbers.js
+// Reports gaps, collisions and non-standard roll numbers, and whether the roll number counter
+// is behind the highest number in use. With --fix the counter is moved up so new customers
+// can't be given a number that already exists. Collisions are only reported: the roll number
+// is printed on member cards, so renumbering someone is left to staff.
+//
+// Usage: npm run roll-numbers:check [-- --fix]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { auditRollNumbers, syncRollNumberCounter } from '../services/rollNumberService.js';
+
+dotenv.config();
+
+const fix = process.argv.includes('--fix');
+
+const check = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/gym_management');
+  console.log('✅ MongoDB Connected');
+
+  const report = await auditRollNumbers();
+
+  console.log(`📊 ${report.totalCustomers} customers, highest roll number ${report.highest || '-'}, counter at ${report.counter}`);
+  console.log(`   Gaps (${report.gaps.length}): ${report.gaps.join(', ') || 'none'}`);
+
+  console.log(`   Collisions (${report.collisions.length}):${report.collisions.length ? '' : ' none'}`);
+  report.collisions.forEach(collision => {
+    console.log(`   - ${collision.rollNumber}: ${collision.customers.map(c => `${c.rollNumber} (${c.name}, ${c.customerId})`).join(', ')}`);
+  });
+
+  console.log(`   Non-standard (${report.nonConforming.length}):${report.nonConforming.length ? '' : ' none'}`);
+  report.nonConforming.forEach(entry => {
+    console.log(`   - "${entry.rollNumber}" (${entry.name}, ${entry.customerId})`);
+  });
+
+  if (report.counterBehind) {
+    if (fix) {
+      await syncRollNumberCounter();
+      console.log(`🔧 Counter moved up to ${report.highest}`);
+    } else {
+      console.log('⚠️ Counter is behind the highest roll number, run with --fix');
+    }
+  }
+};
+
+check()
+  .catch(error => {
+    console.error('❌ Roll number check failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// scripts/createStaff.js
+// Creates a staff account from the command line. Used to set up the first owner, who can
+// then add everyone else through /api/staff.
+//
+// Usage: STAFF_PASSWORD=... npm run staff:create -- --username ali --name "Ali Khan" --role owner
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Staff, { STAFF_ROLES } from '../models/Staff.js';
+import { hashPassword } from '../services/authService.js';
+
+dotenv.config();
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const create = async () => {
+  const username = getArg('username');
+  const name = getArg('name') || username;
+  const role = getArg('role') || 'owner';
+  // Read from the environment so the password doesn't end up in shell history
+  const password = process.env.STAFF_PASSWORD;
+
+  if (!username || !password) {
+    throw new Error('--username and the STAFF_PASSWORD environment variable are required');
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    throw new Error(`--role must be one of: ${STAFF_ROLES.join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/gym_management');
+  console.log('✅ MongoDB Connected');
+
+  const staff = await Staff.create({ name, username, role, passwordHash: await hashPassword(password) });
+  console.log(`👤 Created ${staff.role} "${staff.username}"`);
+};
+
+create()
+  .catch(error => {
+    console.error('❌ Creating staff account failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,98 @@
+// scripts/migrateAttendanceTimes.js
+// Converts attendance records from locale time strings ("10:30:15 AM") and
+// "1h 5m" durations to Date timestamps and a numeric duration in minutes.
+// Safe to run more than once: only records still holding strings are touched.
+//
+// Usage: npm run migrate:attendance [-- --dry-run]
+import mongoose from 'mongoose';
+import moment from 'moment';
+import dotenv from 'dotenv';
+import Attendance from '../models/Attendance.js';
+import { fromGymWallClock, gymDateStart } from '../utils/gymDate.js';
+
+dotenv.config();
+
+const TIME_FORMATS = [
+  'YYYY-MM-DD h:mm:ss A',
+  'YYYY-MM-DD hh:mm:ss A',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD h:mm A',
+  'YYYY-MM-DD HH:mm'
+];
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Legacy times are the gym's wall clock, whatever timezone the migration runs in
+const parseLegacyTime = (date, time) => {
+  if (!time || typeof time !== 'string') return null;
+  const parsed = moment.utc(`${date} ${time.trim().replace(/\s*([ap])\.?m\.?$/i, ' $1M').toUpperCase()}`, TIME_FORMATS, true);
+  return parsed.isValid() ? fromGymWallClock(parsed.toDate()) : null;
+};
+
+const parseLegacyDuration = (duration) => {
+  if (typeof duration === 'number') return duration;
+  const match = typeof duration === 'string' && duration.match(/(-?\d+)h\s*(-?\d+)m/);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/gym_management');
+  console.log(`✅ MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+  // Raw collection: the current schema would try to cast the legacy strings to Date
+  const cursor = Attendance.collection.find({
+    $or: [
+      { checkInTime: { $type: 'string' } },
+      { checkOutTime: { $type: 'string' } },
+      { duration: { $type: 'string' } }
+    ]
+  });
+
+  let migrated = 0;
+  let fallbacks = 0;
+
+  for await (const record of cursor) {
+    let checkInTime = record.checkInTime instanceof Date
+      ? record.checkInTime
+      : parseLegacyTime(record.date, record.checkInTime);
+
+    if (!checkInTime) {
+      checkInTime = record.createdAt || gymDateStart(record.date);
+      fallbacks++;
+    }
+
+    let checkOutTime = record.checkOutTime instanceof Date
+      ? record.checkOutTime
+      : parseLegacyTime(record.date, record.checkOutTime);
+
+    // Check-out earlier than check-in means the session crossed midnight
+    if (checkOutTime && checkOutTime < checkInTime) {
+      checkOutTime = moment(checkOutTime).add(1, 'day').toDate();
+    }
+
+    let duration = checkOutTime
+      ? Math.round((checkOutTime - checkInTime) / (1000 * 60))
+      : parseLegacyDuration(record.duration);
+
+    if (duration !== null && duration < 0) {
+      duration = null;
+    }
+
+    if (!dryRun) {
+      await Attendance.collection.updateOne(
+        { _id: record._id },
+        { $set: { checkInTime, checkOutTime: checkOutTime || null, duration } }
+      );
+    }
+    migrated++;
+  }
+
+  console.log(`📊 ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} attendance records (${fallbacks} check-in times taken from createdAt)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Attendance migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -12,6 +12,19 @@ import customerRoutes from './routes/customerRoutes.js';
 import attendanceRoutes from './routes/attendanceRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
 import whatsappRoutes from './routes/whatsappRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import receiptRoutes from './routes/receiptRoutes.js';
+import planRoutes from './routes/planRoutes.js';
+import accessPolicyRoutes from './routes/accessPolicyRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import messageRoutes from './routes/messageRoutes.js';
+import { authenticate } from './middleware/auth.js';
+import membershipStatusJob from './jobs/statusJob.js';
+import autoCheckoutJob from './jobs/autoCheckoutJob.js';
+import reminderJob from './jobs/reminderJob.js';
+import messageQueueJob from './jobs/messageQueueJob.js';
 
 dotenv.config();
 
@@ -78,10 +91,20 @@ createDirectories();
 
 // ------------------ Register routes ------------------
 console.log('🛣️ Registering routes...');
+// Login/refresh are public; everything else under /api needs a staff access token
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
+app.use('/api/staff', staffRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/access-policy', accessPolicyRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/messages', messageRoutes);
 // legacy mounts (if you intentionally want them)
 app.use('/api', customerRoutes);
 app.use('/api', attendanceRoutes);
@@ -103,7 +126,15 @@ app.get('/', (req, res) => {
       '/api/whatsapp/status',
       '/api/customers',
       '/api/attendance',
-      '/api/reports'
+      '/api/reports',
+      '/api/payments',
+      '/api/receipts',
+      '/api/plans',
+      '/api/access-policy',
+      '/api/auth',
+      '/api/staff',
+      '/api/audit-logs',
+      '/api/messages'
     ]
   });
 });
@@ -120,7 +151,15 @@ app.get('/health', (req, res) => {
       whatsapp: '/api/whatsapp',
       customers: '/api/customers',
       attendance: '/api/attendance',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      payments: '/api/payments',
+      receipts: '/api/receipts',
+      plans: '/api/plans',
+      accessPolicy: '/api/access-policy',
+      auth: '/api/auth',
+      staff: '/api/staff',
+      auditLogs: '/api/audit-logs',
+      messages: '/api/messages'
     }
   });
 });
@@ -130,10 +169,17 @@ app.get('/test-whatsapp', (req, res) => {
     message: 'WhatsApp route is working',
     availableEndpoints: [
       'GET /api/whatsapp/status',
+      'GET /api/whatsapp/config-status',
       'POST /api/whatsapp/init-whatsapp-web',
+      'POST /api/whatsapp/restart',
       'POST /api/whatsapp/request-whatsapp-verification',
       'POST /api/whatsapp/verify-whatsapp-code',
       'POST /api/whatsapp/send-message',
+      'POST /api/whatsapp/send-welcome',
+      'POST /api/whatsapp/send-fee-reminder',
+      'POST /api/whatsapp/send-receipt',
+      'POST /api/whatsapp/trigger-fee-reminders',
+      'POST /api/whatsapp/trigger-expiry-reminders',
       'POST /api/whatsapp/disconnect'
     ]
   });
@@ -152,7 +198,15 @@ app.use((req, res, next) => {
       '/api/whatsapp/status',
       '/api/customers',
       '/api/attendance',
-      '/api/reports'
+      '/api/reports',
+      '/api/payments',
+      '/api/receipts',
+      '/api/plans',
+      '/api/access-policy',
+      '/api/auth',
+      '/api/staff',
+      '/api/audit-logs',
+      '/api/messages'
     ]
   });
 });
@@ -187,6 +241,11 @@ const startServer = async () => {
     await connectDatabase();
 
     if (!isProduction) {
+      membershipStatusJob.init();
+      autoCheckoutJob.init();
+      reminderJob.init();
+      messageQueueJob.init();
+
       const PORT = process.env.PORT || 5000;
       app.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,81 @@
+import AccessPolicy from '../models/AccessPolicy.js';
+import Plan from '../models/Plan.js';
+import { DAY_NAMES, getGymClock } from '../utils/gymDate.js';
+
+const checkTimeWindow = (accessRules, now) => {
+  if (!accessRules) return null;
+
+  const { allowedDays = [], startTime, endTime } = accessRules;
+  const local = getGymClock(now);
+
+  // Overnight window, e.g. 22:00-06:00: open from startTime until midnight and on until
+  // endTime the next morning, which still counts as the day the window opened
+  const overnight = Boolean(startTime && endTime && endTime < startTime);
+  const afterMidnight = overnight && local.time < endTime;
+  const day = afterMidnight ? (local.day + 6) % 7 : local.day;
+
+  if (allowedDays.length > 0 && !allowedDays.includes(day)) {
+    return `Plan does not allow access on ${DAY_NAMES[day]}`;
+  }
+
+  if (overnight) {
+    return afterMidnight || local.time >= startTime ? null : `Plan access is from ${startTime} to ${endTime}`;
+  }
+
+  if (startTime && local.time < startTime) {
+    return `Plan access starts at ${startTime}`;
+  }
+
+  if (endTime && local.time >= endTime) {
+    return `Plan access ends at ${endTime}`;
+  }
+
+  return null;
+};
+
+// Evaluate the check-in policy for a customer.
+// decision is the strictest action among the triggered rules: deny > warn > allow.
+export const evaluateAccess = async (customer, now = new Date()) => {
+  const policy = await AccessPolicy.getPolicy();
+  const reasons = [];
+
+  const addReason = (rule, action, message) => {
+    if (action !== 'allow') {
+      reasons.push({ rule, action, message });
+    }
+  };
+
+  if (customer.status === 'expired') {
+    addReason('expired', policy.expired.action, `Membership expired on ${customer.expiryDate}`);
+  }
+
+  if (customer.status === 'inactive') {
+    addReason('inactive', policy.inactive.action, 'Membership is inactive');
+  }
+
+  if (customer.status === 'frozen') {
+    addReason('frozen', policy.frozen.action, 'Membership is frozen');
+  }
+
+  if ((customer.remaining || 0) > policy.balance.threshold) {
+    addReason('balance', policy.balance.action, `Outstanding balance: PKR ${customer.remaining}`);
+  }
+
+  if (customer.planId) {
+    const plan = await Plan.findById(customer.planId);
+    const violation = plan && checkTimeWindow(plan.accessRules, now);
+    if (violation) {
+      addReason('timeWindow', policy.timeWindow.action, violation);
+    }
+  }
+
+  const decision = reasons.some(r => r.action === 'deny')
+    ? 'deny'
+    : reasons.length > 0 ? 'warn' : 'allow';
+
+  return {
+    allowed: decision !== 'deny',
+    decision,
+    reasons
+  };
+};
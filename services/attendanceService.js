@@ -0,0 +1,84 @@
+import Attendance from '../models/Attendance.js';
+import { evaluateAccess } from './accessPolicyService.js';
+import { gymToday } from '../utils/gymDate.js';
+
+// Duration given to a visit that was never checked out
+export const getAutoCheckoutMinutes = () => parseInt(process.env.AUTO_CHECKOUT_MINUTES) || 90;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Latest visit for a customer that has not been checked out yet
+export const findOpenVisit = async (customerId) => {
+  return Attendance.findOne({ customerId, checkOutTime: null }).sort({ checkInTime: -1 });
+};
+
+// Close a visit the member forgot to check out of. The session is capped at the
+// default duration so a forgotten check-out doesn't count as hours in the gym.
+export const autoCloseVisit = async (attendance, reason) => {
+  const elapsed = Math.round((Date.now() - attendance.checkInTime) / (1000 * 60));
+  const duration = Math.max(0, Math.min(elapsed, getAutoCheckoutMinutes()));
+
+  attendance.checkOutTime = new Date(attendance.checkInTime.getTime() + duration * 60 * 1000);
+  attendance.duration = duration;
+  attendance.autoClosed = true;
+  attendance.autoCloseReason = reason;
+
+  return attendance.save();
+};
+
+// Open a new visit, subject to the access policy. Members may visit several times a day;
+// a visit still open from earlier is auto-closed first.
+// Resolves to { attendance, access, closedVisit }; a denied check-in throws with error.access set.
+export const checkIn = async (customer) => {
+  const today = gymToday();
+
+  const access = await evaluateAccess(customer);
+  if (!access.allowed) {
+    const error = createError(`Check-in denied: ${access.reasons.filter(r => r.action === 'deny').map(r => r.message).join('; ')}`, 403);
+    error.access = access;
+    throw error;
+  }
+
+  const openVisit = await findOpenVisit(customer._id);
+  const closedVisit = openVisit ? await autoCloseVisit(openVisit, 'new_check_in') : null;
+
+  const attendance = new Attendance({
+    customerId: customer._id,
+    customerName: customer.name,
+    rollNumber: customer.rollNumber,
+    date: today
+  });
+
+  await attendance.save();
+  return { attendance, access, closedVisit };
+};
+
+// Close an open visit, storing the duration in minutes
+export const checkOut = async (attendance) => {
+  if (attendance.checkOutTime) {
+    throw createError('Checkout already recorded for this attendance', 400);
+  }
+
+  const checkOutTime = new Date();
+
+  // Duration in whole minutes; real timestamps handle sessions crossing midnight
+  attendance.checkOutTime = checkOutTime;
+  attendance.duration = Math.max(0, Math.round((checkOutTime - attendance.checkInTime) / (1000 * 60)));
+
+  return attendance.save();
+};
+
+// Auto-close every visit checked in before `before` that is still open (nightly job)
+export const closeStaleVisits = async (before) => {
+  const openVisits = await Attendance.find({ checkOutTime: null, checkInTime: { $lt: before } });
+
+  for (const visit of openVisits) {
+    await autoCloseVisit(visit, 'nightly_job');
+  }
+
+  return openVisits.length;
+};
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { gymDateStart, addDays } from '../utils/gymDate.js';
+
+// Bookkeeping fields that change on every write and say nothing about the change itself
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value;
+  // Round-trip through JSON so ObjectIds and Dates compare (and store) as strings
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two versions of a record
+export const diffRecords = (before, after) => {
+  const a = toPlain(before);
+  const b = toPlain(after);
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+};
+
+// Record a change made through the API. The actor and route come from the request.
+// Auditing never fails the request: errors are logged and swallowed.
+export const recordAudit = async (req, { action, entity, entityId = null, customerId = null, before = null, after = null, note = '' }) => {
+  try {
+    const user = req.user || {};
+
+    await AuditLog.create({
+      actor: {
+        id: mongoose.Types.ObjectId.isValid(user.id) ? user.id : null,
+        name: user.name || '',
+        role: user.role || ''
+      },
+      action,
+      entity,
+      entityId,
+      customerId,
+      route: `${req.method} ${req.originalUrl}`,
+      changes: diffRecords(before, after),
+      note
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit log (${entity} ${action}):`, error);
+  }
+};
+
+// Audit entries, newest first. Filters: customerId, staffId, entity, action, startDate/endDate (YYYY-MM-DD)
+export const listAuditLogs = async ({ customerId, staffId, entity, action, startDate, endDate, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (customerId) query.customerId = customerId;
+  if (staffId) query['actor.id'] = staffId;
+  if (entity) query.entity = entity;
+  if (action) query.action = action;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = gymDateStart(startDate);
+    // endDate is inclusive: everything before the next day starts at the gym
+    if (endDate) query.createdAt.$lt = gymDateStart(addDays(endDate, 1));
+  }
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    total,
+    page: pageNumber,
+    pages: Math.ceil(total / pageSize)
+  };
+};
@@ -0,0 +1,116 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Staff from '../models/Staff.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw createError('JWT_SECRET is not configured', 500);
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Refresh tokens are signed with their own secret when one is configured
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || getJwtSecret();
+
+export const hashPassword = async (password) => {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw createError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  return bcrypt.hash(String(password), 10);
+};
+
+const issueTokens = (staff) => {
+  const accessToken = jwt.sign(
+    { sub: String(staff._id), name: staff.name, role: staff.role, type: 'access' },
+    getJwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+  const refreshToken = jwt.sign(
+    { sub: String(staff._id), ver: staff.tokenVersion, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: process.env.REFRESH_TOKEN_TTL || '7d' }
+  );
+
+  return { accessToken, refreshToken, staff };
+};
+
+export const login = async (username, password) => {
+  if (!username || !password) {
+    throw createError('Username and password are required', 400);
+  }
+
+  const staff = await Staff.findOne({ username: String(username).toLowerCase().trim() }).select('+passwordHash');
+
+  // Same answer for unknown users and wrong passwords
+  if (!staff || !staff.active || !(await bcrypt.compare(String(password), staff.passwordHash))) {
+    throw createError('Invalid username or password', 401);
+  }
+
+  staff.lastLoginAt = new Date();
+  await staff.save();
+
+  return issueTokens(staff);
+};
+
+// Swap a refresh token for a new token pair. The old refresh token stays valid until it expires
+// or the staff member logs out.
+export const refresh = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken || '', getRefreshSecret());
+  } catch (error) {
+    throw createError('Invalid or expired refresh token', 401);
+  }
+
+  if (payload.type !== 'refresh') {
+    throw createError('Invalid or expired refresh token', 401);
+  }
+
+  const staff = await Staff.findById(payload.sub);
+  if (!staff || !staff.active || staff.tokenVersion !== payload.ver) {
+    throw createError('Invalid or expired refresh token', 401);
+  }
+
+  return issueTokens(staff);
+};
+
+// Revoke every refresh token of a staff member
+export const logout = async (staffId) => {
+  await Staff.updateOne({ _id: staffId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Decoded access token ({ sub, name, role }), or null when it is missing, expired or forged
+export const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return payload.type === 'access' ? payload : null;
+  } catch (error) {
+    if (error.status) throw error;
+    return null;
+  }
+};
+
+export const changePassword = async (staffId, currentPassword, newPassword) => {
+  const staff = await Staff.findById(staffId).select('+passwordHash');
+  if (!staff) {
+    throw createError('Staff member not found', 404);
+  }
+
+  if (!(await bcrypt.compare(String(currentPassword || ''), staff.passwordHash))) {
+    throw createError('Current password is incorrect', 400);
+  }
+
+  staff.passwordHash = await hashPassword(newPassword);
+  staff.tokenVersion += 1;
+  await staff.save();
+
+  return issueTokens(staff);
+};
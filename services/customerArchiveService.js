@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Attendance from '../models/Attendance.js';
+import Payment from '../models/Payment.js';
+import Receipt from '../models/Receipt.js';
+import Message from '../models/Message.js';
+import OutboundMessage from '../models/OutboundMessage.js';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const assertValidId = (customerId) => {
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    throw createError('Invalid customer ID', 400);
+  }
+};
+
+// Soft delete: the customer disappears from lists, reminders and check-in, but attendance,
+// renewals, payments and receipts stay intact and the customer can be restored
+export const archiveCustomer = async (customerId, { deletedBy } = {}) => {
+  assertValidId(customerId);
+
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, archived: { $ne: true } },
+    { $set: { archived: true, deletedAt: new Date(), deletedBy: deletedBy || '' } },
+    { new: true }
+  );
+
+  if (!customer) {
+    const exists = await Customer.exists({ _id: customerId }).setOptions({ includeArchived: true });
+    throw exists ? createError('Customer is already archived', 400) : createError('Customer not found', 404);
+  }
+
+  return customer;
+};
+
+export const restoreCustomer = async (customerId) => {
+  assertValidId(customerId);
+
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, archived: true },
+    { $set: { archived: false, deletedAt: null, deletedBy: '' } },
+    { new: true }
+  );
+
+  if (!customer) {
+    const exists = await Customer.exists({ _id: customerId });
+    throw exists ? createError('Customer is not archived', 400) : createError('Customer not found', 404);
+  }
+
+  return customer;
+};
+
+// Archived customers, most recently deleted first
+export const listArchivedCustomers = async () => {
+  return Customer.find({ archived: true }).sort({ deletedAt: -1 });
+};
+
+// Name put on the receipts of a purged customer
+const PURGED_CUSTOMER_NAME = 'Deleted customer';
+
+// Permanently remove an archived customer together with their attendance and messages (history
+// and anything still queued). Payments and receipts are the gym's accounting record: payments
+// stay so past revenue doesn't change (free-text notes are cleared), and receipts keep their
+// numbers in sequence with the customer's name and phone removed.
+// Only archived customers can be purged so nobody is wiped out in one step.
+export const purgeCustomer = async (customerId) => {
+  assertValidId(customerId);
+
+  const customer = await Customer.findOne({ _id: customerId }).setOptions({ includeArchived: true });
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+  if (!customer.archived) {
+    throw createError('Archive the customer before purging', 400);
+  }
+
+  const [attendance, payments, receipts, messages, queuedMessages] = await Promise.all([
+    Attendance.deleteMany({ customerId: customer._id }),
+    Payment.updateMany({ customerId: customer._id }, { $set: { note: '', voidReason: '' } }),
+    Receipt.updateMany({ customerId: customer._id }, { $set: { customerName: PURGED_CUSTOMER_NAME, phone: '' } }),
+    Message.deleteMany({ customerId: customer._id }),
+    OutboundMessage.deleteMany({ customerId: customer._id })
+  ]);
+  await Customer.deleteOne({ _id: customer._id });
+
+  return {
+    customerId: customer._id,
+    rollNumber: customer.rollNumber,
+    name: customer.name,
+    deleted: {
+      attendance: attendance.deletedCount,
+      messages: messages.deletedCount,
+      queuedMessages: queuedMessages.deletedCount
+    },
+    anonymized: {
+      payments: payments.matchedCount,
+      receipts: receipts.matchedCount
+    }
+  };
+};
@@ -0,0 +1,256 @@
+import ExcelJS from 'exceljs';
+import moment from 'moment';
+import { Readable } from 'stream';
+import Customer from '../models/Customer.js';
+import Plan from '../models/Plan.js';
+import whatsappService from './whatsappService.js';
+import { recordPeriodPayment } from './paymentService.js';
+import { computeExpiryDate } from './planService.js';
+
+// Header spellings seen in register-book exports, normalized to lowercase letters/digits
+const COLUMN_ALIASES = {
+  rollNumber: ['rollnumber', 'rollno', 'roll', 'memberid'],
+  name: ['name', 'fullname', 'membername', 'customername'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'contact', 'contactnumber', 'cell'],
+  email: ['email', 'emailaddress'],
+  address: ['address'],
+  joinDate: ['joindate', 'joiningdate', 'startdate', 'datejoined'],
+  expiryDate: ['expirydate', 'expiry', 'enddate', 'validtill'],
+  membership: ['membership', 'membershiptype', 'plan', 'package'],
+  fee: ['fee', 'fees', 'totalfee', 'amount'],
+  paidAmount: ['paid', 'paidamount', 'amountpaid'],
+  emergencyContactName: ['emergencycontactname', 'emergencyname'],
+  emergencyContactPhone: ['emergencycontactphone', 'emergencyphone', 'emergencycontact']
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'D/M/YYYY', 'DD-MM-YYYY', 'D-M-YYYY', 'DD.MM.YYYY'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Map spreadsheet headers to Customer fields; an explicit mapping ({ "Header": "field" }) wins
+const buildColumnMap = (headers, mapping = {}) => {
+  const explicit = Object.entries(mapping).reduce((acc, [header, field]) => {
+    acc[normalizeHeader(header)] = field;
+    return acc;
+  }, {});
+
+  return headers.map(header => {
+    const key = normalizeHeader(header);
+    if (explicit[key]) return explicit[key];
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+  });
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return moment(value).format('YYYY-MM-DD');
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formula results from xlsx
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  }
+  return String(value).trim();
+};
+
+// Read the first worksheet into { headers, rows: [{ rowNumber, values: [] }] }
+const readSheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv';
+
+  let worksheet;
+  if (isCsv) {
+    // Keep values as text: no number parsing that would drop the leading 0 of phone numbers
+    worksheet = await workbook.csv.read(Readable.from([file.buffer.toString('utf8').replace(/^\uFEFF/, '')]), { map: value => value });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw createError('The file has no data rows', 400);
+  }
+
+  const headers = [];
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    const values = row.values.slice(1).map(cellText);
+    if (rowNumber === 1) {
+      headers.push(...values);
+    } else if (values.some(value => value !== '')) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers, rows };
+};
+
+const parseDate = (text) => {
+  const date = moment(text, DATE_FORMATS, true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+const parseAmount = (text) => {
+  if (text === '') return null;
+  const amount = parseFloat(String(text).replace(/[^0-9.\-]/g, ''));
+  return Number.isFinite(amount) ? amount : NaN;
+};
+
+// Validate one row and turn it into Customer data
+const validateRow = (fields, plans) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!fields.name) errors.push('Name is required');
+
+  const phone = whatsappService.validatePhoneNumber(fields.phone);
+  if (!phone.isValid) errors.push(`Phone: ${phone.error}`);
+
+  const joinDate = fields.joinDate ? parseDate(fields.joinDate) : moment().format('YYYY-MM-DD');
+  if (!joinDate) errors.push(`Invalid join date "${fields.joinDate}"`);
+
+  const membership = (fields.membership || '').toLowerCase();
+  if (!membership) errors.push('Membership is required');
+  const plan = plans.get(membership);
+
+  let expiryDate = fields.expiryDate ? parseDate(fields.expiryDate) : null;
+  if (fields.expiryDate && !expiryDate) {
+    errors.push(`Invalid expiry date "${fields.expiryDate}"`);
+  } else if (!expiryDate && plan && joinDate) {
+    expiryDate = computeExpiryDate(joinDate, plan.duration, plan.durationType);
+  } else if (!expiryDate) {
+    errors.push('Expiry date is required when membership is not a known plan');
+  }
+
+  let fee = parseAmount(fields.fee || '');
+  if (fee === null && plan) fee = plan.price;
+  if (fee === null || Number.isNaN(fee) || fee < 0) errors.push('Fee must be a non-negative number');
+
+  let paidAmount = parseAmount(fields.paidAmount || '');
+  if (paidAmount === null) paidAmount = 0;
+  if (Number.isNaN(paidAmount) || paidAmount < 0) errors.push('Paid amount must be a non-negative number');
+  if (!errors.length && paidAmount > fee) warnings.push('Paid amount is more than the fee');
+
+  const data = {
+    name: fields.name,
+    phone: phone.isValid ? `0${phone.formattedNumber.slice(2)}` : fields.phone,
+    email: fields.email || '',
+    address: fields.address || '',
+    joinDate,
+    expiryDate,
+    membership,
+    planId: plan ? plan._id : null,
+    fee,
+    initialFee: fee,
+    paidAmount,
+    emergencyContact: {
+      name: fields.emergencyContactName || '',
+      phone: fields.emergencyContactPhone || ''
+    }
+  };
+
+  if (fields.rollNumber) data.rollNumber = fields.rollNumber;
+
+  return { errors, warnings, data, phoneKey: phone.isValid ? phone.formattedNumber : null };
+};
+
+// Import customers from an uploaded CSV/XLSX file. With dryRun nothing is written and the
+// report shows what would happen; otherwise valid, non-duplicate rows are created.
+export const importCustomers = async (file, { dryRun = true, mapping = {}, generateRollNumber } = {}) => {
+  if (!file) {
+    throw createError('A CSV or XLSX file is required', 400);
+  }
+
+  const { headers, rows } = await readSheet(file);
+  const columnMap = buildColumnMap(headers, mapping);
+
+  if (!columnMap.includes('name') || !columnMap.includes('phone')) {
+    throw createError('Could not find "name" and "phone" columns. Provide a column mapping.', 400);
+  }
+
+  const plans = new Map((await Plan.find({ active: true })).map(plan => [plan.name, plan]));
+
+  // Existing phone numbers (archived customers included), normalized the same way as the file
+  const existingPhones = new Map();
+  const customers = Customer.find({}, 'phone rollNumber name archived').setOptions({ includeArchived: true });
+  for await (const customer of customers.lean().cursor()) {
+    const validation = whatsappService.validatePhoneNumber(customer.phone);
+    if (validation.isValid) existingPhones.set(validation.formattedNumber, customer);
+  }
+  const existingRollNumbers = new Set(
+    (await Customer.find({}, 'rollNumber').setOptions({ includeArchived: true }).lean()).map(c => c.rollNumber)
+  );
+
+  const seenPhones = new Map();
+  const report = rows.map(({ rowNumber, values }) => {
+    const fields = columnMap.reduce((acc, field, index) => {
+      if (field) acc[field] = values[index] || '';
+      return acc;
+    }, {});
+
+    const { errors, warnings, data, phoneKey } = validateRow(fields, plans);
+    let status = errors.length ? 'error' : 'valid';
+
+    if (phoneKey && existingPhones.has(phoneKey)) {
+      const existing = existingPhones.get(phoneKey);
+      status = 'duplicate';
+      errors.push(`Phone already belongs to ${existing.name} (${existing.rollNumber}${existing.archived ? ', archived' : ''})`);
+    } else if (phoneKey && seenPhones.has(phoneKey)) {
+      status = 'duplicate';
+      errors.push(`Same phone as row ${seenPhones.get(phoneKey)}`);
+    }
+
+    if (data.rollNumber && existingRollNumbers.has(data.rollNumber)) {
+      status = status === 'valid' ? 'error' : status;
+      errors.push(`Roll number ${data.rollNumber} already exists`);
+    }
+
+    if (phoneKey && !seenPhones.has(phoneKey)) seenPhones.set(phoneKey, rowNumber);
+
+    return { row: rowNumber, status, errors, warnings, data };
+  });
+
+  if (!dryRun) {
+    for (const entry of report.filter(r => r.status === 'valid')) {
+      try {
+        const customer = new Customer({
+          ...entry.data,
+          rollNumber: entry.data.rollNumber || await generateRollNumber()
+        });
+        await customer.save();
+
+        await recordPeriodPayment(customer, null, {
+          amount: customer.paidAmount,
+          method: 'other',
+          note: 'Imported opening balance'
+        });
+
+        entry.status = 'created';
+        entry.customerId = customer._id;
+        entry.data.rollNumber = customer.rollNumber;
+      } catch (error) {
+        entry.status = 'error';
+        entry.errors.push(error.message);
+      }
+    }
+  }
+
+  const count = (status) => report.filter(r => r.status === status).length;
+
+  return {
+    dryRun,
+    columns: headers.map((header, index) => ({ header, field: columnMap[index] })),
+    totalRows: report.length,
+    valid: count('valid'),
+    created: count('created'),
+    duplicates: count('duplicate'),
+    errors: count('error'),
+    rows: report
+  };
+};
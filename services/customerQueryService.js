@@ -0,0 +1,191 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import { gymToday, addDays } from '../utils/gymDate.js';
+
+const SORTABLE_FIELDS = ['name', 'rollNumber', 'joinDate', 'expiryDate', 'remaining', 'fee', 'paidAmount', 'status', 'membership', 'createdAt'];
+
+// Large arrays left out of list responses unless asked for with ?fields=
+const HEAVY_FIELDS = ['renewalHistory', 'statusHistory', 'freezePeriods'];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseDateParam = (value, name) => {
+  const date = moment(value, 'YYYY-MM-DD', true);
+  if (!date.isValid()) {
+    throw createError(`${name} must be a date (YYYY-MM-DD)`, 400);
+  }
+  return date.format('YYYY-MM-DD');
+};
+
+const parseNumberParam = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw createError(`${name} must be a number`, 400);
+  }
+  return number;
+};
+
+// Mongo filter from list query parameters:
+//   q                         free text over name, phone, rollNumber and email
+//   status, membership        comma separated lists
+//   planId
+//   expiresFrom, expiresTo    expiry window (YYYY-MM-DD, inclusive)
+//   expiringWithin            days from today, shorthand for an expiry window starting today
+//   minBalance, maxBalance    range on remaining
+export const buildCustomerFilter = (params = {}) => {
+  const filter = {};
+
+  if (params.q && String(params.q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(params.q).trim()), 'i');
+    filter.$or = [{ name: pattern }, { phone: pattern }, { rollNumber: pattern }, { email: pattern }];
+  }
+
+  const statuses = toList(params.status);
+  if (statuses.length) filter.status = { $in: statuses };
+
+  const memberships = toList(params.membership).map(m => m.toLowerCase());
+  if (memberships.length) filter.membership = { $in: memberships };
+
+  if (params.planId) {
+    if (!mongoose.Types.ObjectId.isValid(params.planId)) {
+      throw createError('planId must be a valid ID', 400);
+    }
+    filter.planId = params.planId;
+  }
+
+  if (params.expiringWithin !== undefined) {
+    const days = parseNumberParam(params.expiringWithin, 'expiringWithin');
+    const today = gymToday();
+    filter.expiryDate = {
+      $gte: today,
+      $lte: addDays(today, days)
+    };
+  } else if (params.expiresFrom || params.expiresTo) {
+    filter.expiryDate = {};
+    if (params.expiresFrom) filter.expiryDate.$gte = parseDateParam(params.expiresFrom, 'expiresFrom');
+    if (params.expiresTo) filter.expiryDate.$lte = parseDateParam(params.expiresTo, 'expiresTo');
+  }
+
+  if (params.minBalance !== undefined || params.maxBalance !== undefined) {
+    filter.remaining = {};
+    if (params.minBalance !== undefined) filter.remaining.$gte = parseNumberParam(params.minBalance, 'minBalance');
+    if (params.maxBalance !== undefined) filter.remaining.$lte = parseNumberParam(params.maxBalance, 'maxBalance');
+  }
+
+  return filter;
+};
+
+// ?sort=-expiryDate,name → [['expiryDate', -1], ['name', 1]]
+export const parseCustomerSort = (value) => {
+  const fields = toList(value);
+  if (!fields.length) return [['rollNumber', 1]];
+
+  return fields.map(field => {
+    const name = field.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(name)) {
+      throw createError(`Cannot sort by "${name}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`, 400);
+    }
+    return [name, field.startsWith('-') ? -1 : 1];
+  });
+};
+
+// ?fields=name,phone,expiryDate → projection; without it the heavy history arrays are left out
+export const parseCustomerProjection = (value, { excludeHeavy = true } = {}) => {
+  const fields = toList(value);
+  if (fields.length) {
+    const unknown = fields.filter(field => !Customer.schema.path(field) && !Customer.schema.pathType(field).startsWith('nested'));
+    if (unknown.length) {
+      throw createError(`Unknown fields: ${unknown.join(', ')}`, 400);
+    }
+    return fields.join(' ');
+  }
+  return excludeHeavy ? HEAVY_FIELDS.map(field => `-${field}`).join(' ') : null;
+};
+
+const encodeCursor = (customer, field) => Buffer.from(JSON.stringify({ v: customer[field] ?? null, id: String(customer._id) })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    const value = v !== null && Customer.schema.path(field)?.instance === 'Date' ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw createError('Invalid cursor', 400);
+  }
+};
+
+// Customers after the cursor position for a single-field sort with _id as tie-breaker
+const afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+};
+
+export const isPaginatedRequest = (params = {}) => ['page', 'limit', 'cursor'].some(key => params[key] !== undefined);
+
+// One page of customers with the total matching count.
+// Page based: ?page=2&limit=25 → { customers, total, page, pages, limit }
+// Cursor based: ?cursor= (empty for the first page) → { customers, total, limit, nextCursor }.
+// Cursor pagination sorts on the first sort field only, with _id breaking ties.
+export const listCustomers = async (params = {}) => {
+  const filter = buildCustomerFilter(params);
+  const sort = parseCustomerSort(params.sort);
+  const projection = parseCustomerProjection(params.fields);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit) || DEFAULT_LIMIT));
+
+  if (params.cursor !== undefined) {
+    const [[field, direction]] = sort;
+    // The next cursor is built from the sort field, so it has to be in the projection
+    const cursorProjection = projection && !projection.startsWith('-') && !projection.split(' ').includes(field)
+      ? `${projection} ${field}`
+      : projection;
+    const query = params.cursor
+      ? { $and: [filter, afterCursor(field, direction, decodeCursor(params.cursor, field))] }
+      : filter;
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query, cursorProjection).sort({ [field]: direction, _id: direction }).limit(limit + 1).lean(),
+      Customer.countDocuments(filter)
+    ]);
+
+    const hasMore = customers.length > limit;
+    const page = hasMore ? customers.slice(0, limit) : customers;
+
+    return {
+      customers: page,
+      total,
+      limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+    };
+  }
+
+  const page = Math.max(1, parseInt(params.page) || 1);
+  const [customers, total] = await Promise.all([
+    Customer.find(filter, projection)
+      .sort([...sort, ['_id', 1]])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Customer.countDocuments(filter)
+  ]);
+
+  return {
+    customers,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    limit
+  };
+};
@@ -0,0 +1,114 @@
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// ?format=csv|xlsx on a list endpoint; anything else (or nothing) keeps the JSON response
+export const getExportFormat = (req) => {
+  const format = (req.query.format || '').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+};
+
+// Columns: [{ header: 'Name', key: 'name', value?: (row) => any, width?: 20 }]
+const getCellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  if (value === null || value === undefined) return '';
+  return value;
+};
+
+const escapeCsv = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheet apps from evaluating cell contents as formulas
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+const streamCsv = async (res, columns, rows) => {
+  // BOM so Excel opens UTF-8 (names, PKR amounts) correctly
+  await writeChunk(res, '\uFEFF' + columns.map(c => escapeCsv(c.header)).join(',') + '\r\n');
+
+  for await (const row of rows) {
+    await writeChunk(res, columns.map(c => escapeCsv(getCellValue(c, row))).join(',') + '\r\n');
+  }
+
+  res.end();
+};
+
+const streamXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 18 }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    worksheet.addRow(columns.reduce((acc, c) => ({ ...acc, [c.key]: getCellValue(c, row) }), {})).commit();
+  }
+
+  await worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream rows (an array or async iterable such as a mongoose cursor) as a CSV or XLSX download.
+// Rows are written as they arrive so large exports never sit in memory.
+export const sendExport = async (res, { format, filename, columns, rows, sheetName = 'Export' }) => {
+  const isCsv = format === 'csv';
+
+  res.setHeader('Content-Type', isCsv
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  try {
+    if (isCsv) {
+      await streamCsv(res, columns, rows);
+    } else {
+      await streamXlsx(res, columns, rows, sheetName);
+    }
+  } catch (error) {
+    // Once the download has started a JSON error can't be sent; abort so the client sees a failure
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw error;
+    }
+    console.error(`❌ Export ${filename}.${format} failed mid-stream:`, error);
+    res.destroy(error);
+  }
+};
+
+// Shared column sets
+export const customerColumns = [
+  { header: 'Roll Number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Email', key: 'email', width: 24 },
+  { header: 'Membership', key: 'membership', width: 14 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Join Date', key: 'joinDate', width: 12 },
+  { header: 'Expiry Date', key: 'expiryDate', width: 12 },
+  { header: 'Fee', key: 'fee', width: 10 },
+  { header: 'Paid', key: 'paidAmount', width: 10 },
+  { header: 'Remaining', key: 'remaining', width: 10 },
+  { header: 'Total Renewals', key: 'totalRenewals', width: 10 }
+];
+
+export const attendanceColumns = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Roll Number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'customerName', width: 24 },
+  { header: 'Check In', key: 'checkInTime', width: 22 },
+  { header: 'Check Out', key: 'checkOutTime', width: 22 },
+  { header: 'Duration (min)', key: 'duration', width: 12 },
+  { header: 'Auto Closed', key: 'autoClosed', width: 10, value: row => (row.autoClosed ? 'yes' : '') }
+];
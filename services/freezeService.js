@@ -0,0 +1,140 @@
+import moment from 'moment';
+import Customer from '../models/Customer.js';
+import Plan from '../models/Plan.js';
+import { buildStatusChange } from './membershipStatusService.js';
+
+// Limit for customers without a plan (added before the plan catalogue existed)
+const getDefaultMaxFreezeDays = () => parseInt(process.env.DEFAULT_MAX_FREEZE_DAYS) || 30;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const getMaxFreezeDays = async (customer) => {
+  if (customer.planId) {
+    const plan = await Plan.findById(customer.planId);
+    if (plan) return plan.maxFreezeDays;
+  }
+  return getDefaultMaxFreezeDays();
+};
+
+// Start date of the membership period the customer is currently in
+const getPeriodStart = (customer) => {
+  const renewals = customer.renewalHistory || [];
+  if (renewals.length === 0) {
+    return customer.joinDate;
+  }
+
+  const latest = [...renewals].sort((a, b) => new Date(b.renewalDate) - new Date(a.renewalDate))[0];
+  return latest.startDate;
+};
+
+// Freeze days already credited in the current period
+export const getUsedFreezeDays = (customer) => {
+  const periodStart = moment(getPeriodStart(customer)).startOf('day');
+
+  return (customer.freezePeriods || [])
+    .filter(period => period.endDate && moment(period.startDate).isSameOrAfter(periodStart))
+    .reduce((sum, period) => sum + (period.creditedDays || 0), 0);
+};
+
+// Renewing a frozen membership would leave its freeze period open: unfreeze first so the
+// frozen days are credited and the period is closed
+export const assertNotFrozen = (customer, action) => {
+  if (customer.status === 'frozen') {
+    throw createError(`Membership is frozen; unfreeze it before ${action}`, 400);
+  }
+};
+
+export const freezeMembership = async (customerId, { reason, frozenBy } = {}) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+
+  if (customer.status === 'frozen') {
+    throw createError('Membership is already frozen', 400);
+  }
+
+  if (customer.status !== 'active') {
+    throw createError(`Only active memberships can be frozen (current status: ${customer.status})`, 400);
+  }
+
+  const maxFreezeDays = await getMaxFreezeDays(customer);
+  const usedDays = getUsedFreezeDays(customer);
+  if (usedDays >= maxFreezeDays) {
+    throw createError(`Freeze limit reached: ${usedDays} of ${maxFreezeDays} days already used this period`, 400);
+  }
+
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer._id, status: 'active' },
+    {
+      $set: { status: 'frozen' },
+      $push: {
+        freezePeriods: {
+          startDate: new Date(),
+          reason: reason || '',
+          frozenBy: frozenBy || ''
+        },
+        statusHistory: buildStatusChange('active', 'frozen', reason || 'Membership frozen', frozenBy || 'staff')
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createError('Customer status changed, please retry', 409);
+  }
+
+  return { customer: updated, maxFreezeDays, remainingFreezeDays: maxFreezeDays - usedDays };
+};
+
+// Whole days frozen so far and how many of them can still be credited this period
+export const getFreezeCredit = (customer, openPeriod, maxFreezeDays, now = new Date()) => {
+  const frozenDays = Math.max(0, moment(now).startOf('day').diff(moment(openPeriod.startDate).startOf('day'), 'days'));
+  const creditedDays = Math.min(frozenDays, Math.max(0, maxFreezeDays - getUsedFreezeDays(customer)));
+  return { frozenDays, creditedDays };
+};
+
+// Unfreeze and push expiryDate forward by the frozen days (capped by the plan allowance)
+export const unfreezeMembership = async (customerId, { unfrozenBy } = {}) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+
+  const openPeriod = (customer.freezePeriods || []).find(period => !period.endDate);
+  if (customer.status !== 'frozen' || !openPeriod) {
+    throw createError('Membership is not frozen', 400);
+  }
+
+  const now = new Date();
+  const maxFreezeDays = await getMaxFreezeDays(customer);
+  const { frozenDays, creditedDays } = getFreezeCredit(customer, openPeriod, maxFreezeDays, now);
+  const newExpiryDate = moment(customer.expiryDate).add(creditedDays, 'days').format('YYYY-MM-DD');
+
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer._id, status: 'frozen', 'freezePeriods._id': openPeriod._id },
+    {
+      $set: {
+        status: 'active',
+        expiryDate: newExpiryDate,
+        'freezePeriods.$.endDate': now,
+        'freezePeriods.$.creditedDays': creditedDays,
+        'freezePeriods.$.unfrozenBy': unfrozenBy || ''
+      },
+      $push: {
+        statusHistory: buildStatusChange('frozen', 'active', `Membership unfrozen after ${frozenDays} days, expiry extended by ${creditedDays} days`, unfrozenBy || 'staff')
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createError('Customer status changed, please retry', 409);
+  }
+
+  return { customer: updated, frozenDays, creditedDays, previousExpiryDate: customer.expiryDate };
+};
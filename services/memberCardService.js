@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import qrcode from 'qrcode';
+import PDFDocument from 'pdfkit';
+import moment from 'moment';
+
+const GYM_NAME = process.env.GYM_NAME || 'AM FITNESS';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getSecret = () => {
+  const secret = process.env.QR_CARD_SECRET;
+  if (!secret) {
+    throw createError('QR_CARD_SECRET is not configured', 500);
+  }
+  return secret;
+};
+
+const sign = (rollNumber) => {
+  return crypto.createHmac('sha256', getSecret())
+    .update(rollNumber)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+// Card token: "<rollNumber>.<signature>", the signature stops anyone printing their own card
+export const signCardToken = (rollNumber) => `${rollNumber}.${sign(rollNumber)}`;
+
+// Returns the roll number encoded in a valid token, or null
+export const verifyCardToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const rollNumber = token.slice(0, separator);
+  const signature = Buffer.from(token.slice(separator + 1));
+  const expected = Buffer.from(sign(rollNumber));
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  return rollNumber;
+};
+
+export const generateQrPng = (customer) => {
+  return qrcode.toBuffer(signCardToken(customer.rollNumber), {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 300
+  });
+};
+
+// Printable membership card (credit card size) with the member's QR code
+export const buildCardPdf = async (customer) => {
+  const qrPng = await generateQrPng(customer);
+  const doc = new PDFDocument({ size: [243, 153], margin: 10 });
+
+  doc.fontSize(11).font('Helvetica-Bold').text(GYM_NAME, 10, 10, { width: 223, align: 'center' });
+  doc.image(qrPng, 10, 30, { width: 110 });
+
+  doc.font('Helvetica-Bold').fontSize(9).text(customer.name, 128, 40, { width: 105 });
+  doc.font('Helvetica').fontSize(8);
+  doc.text(customer.rollNumber, 128, doc.y + 4, { width: 105 });
+  doc.text((customer.membership || '').toUpperCase(), 128, doc.y + 2, { width: 105 });
+  doc.text(`Valid till ${moment(customer.expiryDate).format('DD/MM/YYYY')}`, 128, doc.y + 2, { width: 105 });
+
+  doc.fontSize(6).text('Scan at the front desk to check in / out', 10, 142, { width: 223, align: 'center' });
+
+  return doc;
+};
@@ -0,0 +1,80 @@
+import Customer from '../models/Customer.js';
+import { gymToday, addDays } from '../utils/gymDate.js';
+
+// Days after expiryDate a member stays active before being marked expired
+export const getGracePeriodDays = () => Math.max(0, parseInt(process.env.EXPIRY_GRACE_DAYS) || 0);
+
+// Members whose expiryDate is before this date (YYYY-MM-DD) are past their grace period
+export const getExpiryCutoff = () => addDays(gymToday(), -getGracePeriodDays());
+
+export const buildStatusChange = (from, to, reason, changedBy = 'system') => ({
+  from,
+  to,
+  reason,
+  changedBy,
+  changedAt: new Date()
+});
+
+// Move every active member past expiryDate + grace period to expired, recording the transition
+export const expireOverdueMemberships = async () => {
+  const cutoff = getExpiryCutoff();
+
+  const result = await Customer.updateMany(
+    { status: 'active', expiryDate: { $lt: cutoff } },
+    {
+      $set: { status: 'expired' },
+      $push: {
+        statusHistory: buildStatusChange('active', 'expired', `Membership expired (grace period ${getGracePeriodDays()} days)`)
+      }
+    }
+  );
+
+  return { cutoff, expired: result.modifiedCount };
+};
+
+// On-read safeguard: the cron job does not run on serverless deployments, so read paths
+// call this to apply overdue transitions at most once per interval per process.
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+let lastRefresh = 0;
+let pendingRefresh = null;
+
+export const ensureStatusesFresh = async () => {
+  if (Date.now() - lastRefresh < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  if (!pendingRefresh) {
+    pendingRefresh = expireOverdueMemberships()
+      .then(() => {
+        lastRefresh = Date.now();
+      })
+      .catch(error => {
+        console.error('❌ Error refreshing membership statuses:', error);
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  await pendingRefresh;
+};
+
+// Apply the transition to a single loaded customer if it is overdue
+export const refreshCustomerStatus = async (customer) => {
+  if (!customer || customer.status !== 'active' || customer.expiryDate >= getExpiryCutoff()) {
+    return customer;
+  }
+
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer._id, status: 'active' },
+    {
+      $set: { status: 'expired' },
+      $push: {
+        statusHistory: buildStatusChange('active', 'expired', `Membership expired (grace period ${getGracePeriodDays()} days)`)
+      }
+    },
+    { new: true }
+  );
+
+  return updated || customer;
+};
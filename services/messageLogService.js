@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Customer from '../models/Customer.js';
+import whatsappService from './whatsappService.js';
+
+// whatsapp-web.js ack levels: -1 error, 0 pending, 1 server, 2 device, 3 read, 4 played
+const ACK_STATUSES = { '-1': 'failed', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'read' };
+
+// Receipts only move a message forward (a late "delivered" must not undo "read")
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3, failed: 0 };
+
+// Acks that arrive before the message is written (fast delivery) are held briefly
+const EARLY_ACK_TTL = 2 * 60 * 1000;
+const earlyAcks = new Map();
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Customer stored under any spelling of the number (0300..., 92300..., +92300...)
+const findCustomerByPhone = async (formattedNumber) => {
+  const local = `0${formattedNumber.slice(2)}`;
+  const customer = await Customer.findOne(
+    { phone: { $in: [local, formattedNumber, `+${formattedNumber}`, formattedNumber.slice(2)] } },
+    '_id'
+  ).setOptions({ includeArchived: true }).lean();
+  return customer ? customer._id : null;
+};
+
+const statusUpdate = (status, at = new Date()) => {
+  const update = { status };
+  if (status === 'delivered') update.deliveredAt = at;
+  if (status === 'read') {
+    update.readAt = at;
+    update.deliveredAt = at;
+  }
+  return update;
+};
+
+// Record an outbound message: result is what the messaging service returned, or pass
+// error for a message that could not be sent. Logging never fails the send.
+export const recordOutbound = async ({ customerId = null, phone, type = 'custom', body = '', result = null, error = null, sentBy = '', outboundMessageId = null }) => {
+  try {
+    const validation = whatsappService.validatePhoneNumber(result?.phoneNumber || phone);
+    const formatted = validation.isValid ? validation.formattedNumber : String(phone || '');
+
+    const entry = {
+      customerId: customerId || (validation.isValid ? await findCustomerByPhone(formatted) : null),
+      direction: 'outbound',
+      type,
+      body,
+      phone: formatted,
+      transport: result?.method || '',
+      messageId: result?.messageId || null,
+      status: error ? 'failed' : 'sent',
+      error: error ? error.message : '',
+      sentBy,
+      outboundMessageId
+    };
+
+    const early = entry.messageId && earlyAcks.get(entry.messageId);
+    if (early) {
+      earlyAcks.delete(entry.messageId);
+      Object.assign(entry, statusUpdate(early.status, early.at));
+    }
+
+    return await Message.create(entry);
+  } catch (logError) {
+    console.error(`❌ Failed to record outbound message (${type}):`, logError);
+    return null;
+  }
+};
+
+// Incoming WhatsApp message from a member
+export const recordInbound = async (message) => {
+  try {
+    // Only one-to-one chats; groups and status updates are not conversations with a member
+    if (!message.from || !message.from.endsWith('@c.us')) return null;
+
+    const phone = message.from.replace('@c.us', '');
+    return await Message.create({
+      customerId: await findCustomerByPhone(phone),
+      direction: 'inbound',
+      type: 'reply',
+      body: message.body || '',
+      phone,
+      transport: 'whatsapp_web',
+      messageId: message.id?.id || null,
+      status: 'received'
+    });
+  } catch (error) {
+    console.error('❌ Failed to record inbound message:', error);
+    return null;
+  }
+};
+
+// Apply a WhatsApp delivery/read receipt to the message it belongs to
+export const applyAck = async (messageId, ack) => {
+  const status = ACK_STATUSES[ack];
+  if (!messageId || !status) return null;
+
+  try {
+    const lowerStatuses = Object.keys(STATUS_RANK).filter(s => STATUS_RANK[s] < STATUS_RANK[status]);
+    const filter = status === 'failed'
+      ? { messageId, direction: 'outbound', status: 'sent' }
+      : { messageId, direction: 'outbound', status: { $in: lowerStatuses } };
+
+    const updated = await Message.findOneAndUpdate(filter, { $set: statusUpdate(status) }, { new: true });
+
+    if (!updated && !(await Message.exists({ messageId }))) {
+      earlyAcks.set(messageId, { status, at: new Date() });
+      setTimeout(() => earlyAcks.delete(messageId), EARLY_ACK_TTL).unref();
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('❌ Failed to apply message receipt:', error);
+    return null;
+  }
+};
+
+whatsappService.onMessage(recordInbound);
+whatsappService.onMessageAck((message, ack) => applyAck(message.id?.id, ack));
+
+// Messages with one customer, oldest first. Pages go backwards in time: pass the
+// createdAt of the oldest message shown as ?before= to load earlier ones.
+export const getConversation = async (customerId, { before, limit = 50 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    throw createError('Invalid customer ID', 400);
+  }
+
+  const customer = await Customer.findById(customerId, 'name rollNumber phone archived')
+    .setOptions({ includeArchived: true })
+    .lean();
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+
+  const query = { customerId: customer._id };
+  if (before) {
+    const beforeDate = new Date(before);
+    if (Number.isNaN(beforeDate.getTime())) {
+      throw createError('before must be a date', 400);
+    }
+    query.createdAt = { $lt: beforeDate };
+  }
+
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+  const messages = await Message.find(query)
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize).reverse();
+
+  return {
+    customer,
+    messages: page,
+    hasMore,
+    before: hasMore ? page[0].createdAt : null
+  };
+};
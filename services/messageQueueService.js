@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import OutboundMessage from '../models/OutboundMessage.js';
+import * as messagingService from './messagingService.js';
+import { recordOutbound } from './messageLogService.js';
+
+// A send that has been "sending" this long was interrupted (crash, restart) and is picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Errors about the message itself (bad number, not on WhatsApp, unsupported content) never succeed on retry
+const PERMANENT_ERROR_STATUSES = [400, 404, 501];
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Queue settings:
+//   MESSAGE_RATE_PER_MINUTE      sends per minute across all workers (default 20)
+//   MESSAGE_MAX_ATTEMPTS         attempts before a message is dead-lettered (default 5)
+//   MESSAGE_RETRY_BASE_SECONDS   first retry delay, doubled on every further attempt (default 60)
+export const getQueueConfig = () => ({
+  ratePerMinute: Math.max(1, parseInt(process.env.MESSAGE_RATE_PER_MINUTE, 10) || 20),
+  maxAttempts: Math.max(1, parseInt(process.env.MESSAGE_MAX_ATTEMPTS, 10) || 5),
+  retryBaseSeconds: Math.max(1, parseInt(process.env.MESSAGE_RETRY_BASE_SECONDS, 10) || 60)
+});
+
+export const newBatchId = () => crypto.randomUUID();
+
+const assertValidId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw createError('Invalid message ID', 400);
+  }
+};
+
+// Add messages to the queue: [{ to, body, type, customerId }]. Returns the created documents.
+export const enqueueMessages = async (messages, { batchId = null, createdBy = '' } = {}) => {
+  if (!messages.length) return [];
+
+  const { maxAttempts } = getQueueConfig();
+  return OutboundMessage.insertMany(messages.map(message => ({
+    to: message.to,
+    body: message.body,
+    type: message.type || 'custom',
+    customerId: message.customerId || null,
+    batchId,
+    maxAttempts,
+    createdBy
+  })));
+};
+
+// Customers that already have a message of this type waiting, so repeated runs don't double up
+export const getPendingCustomerIds = async (type) => {
+  const ids = await OutboundMessage.distinct('customerId', {
+    type,
+    status: { $in: ['queued', 'sending'] },
+    customerId: { $ne: null }
+  });
+  return new Set(ids.map(String));
+};
+
+// Delay before the next attempt: base, 2x base, 4x base, ...
+const retryDelayMs = (attempts) => {
+  const { retryBaseSeconds } = getQueueConfig();
+  return retryBaseSeconds * 1000 * 2 ** Math.max(0, attempts - 1);
+};
+
+// Take the next due message and mark it as sending
+const claimNext = () => {
+  const now = new Date();
+  return OutboundMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1, createdAt: 1 } }
+  );
+};
+
+// Message history entry for a queue item that was sent or given up on
+const logOutcome = (message, { result = null, error = null }) => recordOutbound({
+  customerId: message.customerId,
+  phone: message.to,
+  type: message.type,
+  body: message.body,
+  result,
+  error,
+  sentBy: message.createdBy,
+  outboundMessageId: message._id
+});
+
+const sendOne = async (message) => {
+  try {
+    const result = await messagingService.sendMessage(message.to, message.body);
+    await logOutcome(message, { result });
+    message.set({
+      status: 'sent',
+      sentAt: new Date(),
+      lockedAt: null,
+      lastError: '',
+      transport: result.method || '',
+      messageId: result.messageId || null
+    });
+  } catch (error) {
+    const permanent = PERMANENT_ERROR_STATUSES.includes(error.status);
+    const exhausted = message.attempts >= message.maxAttempts;
+
+    message.set({
+      status: permanent || exhausted ? 'dead' : 'queued',
+      lockedAt: null,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + retryDelayMs(message.attempts))
+    });
+
+    if (message.status === 'dead') await logOutcome(message, { error });
+  }
+
+  await message.save();
+  return message;
+};
+
+// Send one batch of due messages without going over the per-minute rate: the budget is the
+// rate minus messages already sent in the last 60 seconds (by any worker or cron call), so
+// calling this every minute paces the queue without sleeping inside a request.
+// Returns { sent, failed, dead, remaining }.
+export const processQueue = async () => {
+  const stats = { sent: 0, failed: 0, dead: 0, remaining: 0 };
+
+  if (!messagingService.isAvailable()) {
+    stats.skipped = 'No messaging transport is available';
+    stats.remaining = await OutboundMessage.countDocuments({ status: 'queued' });
+    return stats;
+  }
+
+  const { ratePerMinute } = getQueueConfig();
+  const sentLastMinute = await OutboundMessage.countDocuments({ sentAt: { $gte: new Date(Date.now() - 60000) } });
+  let budget = ratePerMinute - sentLastMinute;
+
+  while (budget > 0) {
+    // Stop rather than burn attempts if the transport dropped mid-run
+    if (!messagingService.isAvailable()) break;
+
+    const message = await claimNext();
+    if (!message) break;
+
+    await sendOne(message);
+    budget--;
+
+    if (message.status === 'sent') stats.sent++;
+    else if (message.status === 'dead') stats.dead++;
+    else stats.failed++;
+  }
+
+  stats.remaining = await OutboundMessage.countDocuments({ status: 'queued' });
+  return stats;
+};
+
+// Counts by status, for the queue overview
+export const getQueueStats = async (filter = {}) => {
+  const counts = await OutboundMessage.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }),
+    { queued: 0, sending: 0, sent: 0, dead: 0, cancelled: 0 });
+};
+
+// Queue listing (?status=&type=&batchId=&customerId=&page=&limit=), newest first
+export const listQueuedMessages = async ({ status, type, batchId, customerId, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = { $in: String(status).split(',') };
+  if (type) query.type = type;
+  if (batchId) query.batchId = batchId;
+  if (customerId) {
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      throw createError('Invalid customer ID', 400);
+    }
+    query.customerId = customerId;
+  }
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const [messages, total, stats] = await Promise.all([
+    OutboundMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate({ path: 'customerId', select: 'name rollNumber', options: { includeArchived: true } })
+      .lean(),
+    OutboundMessage.countDocuments(query),
+    getQueueStats(batchId ? { batchId } : {})
+  ]);
+
+  return {
+    messages,
+    total,
+    page: pageNumber,
+    pages: Math.ceil(total / pageSize),
+    stats
+  };
+};
+
+export const getQueuedMessage = async (messageId) => {
+  assertValidId(messageId);
+
+  const message = await OutboundMessage.findById(messageId)
+    .populate({ path: 'customerId', select: 'name rollNumber phone', options: { includeArchived: true } });
+  if (!message) {
+    throw createError('Message not found', 404);
+  }
+  return message;
+};
+
+// Put a dead or cancelled message back in the queue with a fresh set of attempts
+export const retryMessage = async (messageId) => {
+  assertValidId(messageId);
+
+  const message = await OutboundMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['dead', 'cancelled'] } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: '', cancelledBy: '' } },
+    { new: true }
+  );
+
+  if (!message) {
+    const exists = await OutboundMessage.exists({ _id: messageId });
+    throw exists
+      ? createError('Only dead or cancelled messages can be retried', 400)
+      : createError('Message not found', 404);
+  }
+
+  return message;
+};
+
+// Cancel a message that has not been sent yet
+export const cancelMessage = async (messageId, { cancelledBy } = {}) => {
+  assertValidId(messageId);
+
+  const message = await OutboundMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['queued', 'dead'] } },
+    { $set: { status: 'cancelled', cancelledBy: cancelledBy || '' } },
+    { new: true }
+  );
+
+  if (!message) {
+    const exists = await OutboundMessage.exists({ _id: messageId });
+    throw exists
+      ? createError('Only queued or dead messages can be cancelled', 400)
+      : createError('Message not found', 404);
+  }
+
+  return message;
+};
+
+// Cancel everything still waiting in a batch
+export const cancelBatch = async (batchId, { cancelledBy } = {}) => {
+  const result = await OutboundMessage.updateMany(
+    { batchId, status: { $in: ['queued', 'dead'] } },
+    { $set: { status: 'cancelled', cancelledBy: cancelledBy || '' } }
+  );
+  return { batchId, cancelled: result.modifiedCount };
+};
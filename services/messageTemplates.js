@@ -102,17 +102,24 @@ Thank you for your payment! 🙏
 Contact: +92-3214468123
 
 _This is an automated confirmation from AM FITNESS_`;
-  }
-};
+  },
+
+  verificationCode: (code) => {
+    return `🏋️‍♂️ *Gym Management System*
+
+Your verification code is: *${code}*
+
+Please enter this code in the application to verify your WhatsApp number.
+
+⏰ This code expires in 5 minutes.
+
+Reply with this same code to confirm you received it.
+
+---
+_This is an automated message from your gym management system._`;
+  },
 
-export const formatPhoneNumber = (phone) => {
-  // Remove all non-digit characters
-  let cleaned = phone.replace(/\D/g, '');
-  
-  // Add country code if not present (assuming India +91)
-  if (cleaned.length === 10) {
-    cleaned = '91' + cleaned;
+  receiptCaption: (receipt) => {
+    return `🧾 ${receipt.type === 'renewal' ? 'Renewal invoice' : 'Payment receipt'} ${receipt.receiptCode} - ${receipt.customerName}`;
   }
-  
-  return cleaned;
 };
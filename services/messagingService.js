@@ -0,0 +1,87 @@
+import whatsappWebTransport from './whatsappWebTransport.js';
+import twilioTransport from './twilioTransport.js';
+import mockTransport from './mockTransport.js';
+
+const TRANSPORTS = {
+  whatsapp_web: whatsappWebTransport,
+  twilio: twilioTransport,
+  mock: mockTransport
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// MESSAGING_TRANSPORT picks the transport (whatsapp_web by default, twilio or mock).
+// MESSAGING_FALLBACK is used while the primary is down; it defaults to twilio behind
+// WhatsApp Web and can be set to "none" to turn fallback off.
+export const getMessagingConfig = () => {
+  const primary = TRANSPORTS[process.env.MESSAGING_TRANSPORT] ? process.env.MESSAGING_TRANSPORT : 'whatsapp_web';
+  const configuredFallback = process.env.MESSAGING_FALLBACK || (primary === 'whatsapp_web' ? 'twilio' : 'none');
+  const fallback = TRANSPORTS[configuredFallback] && configuredFallback !== primary ? configuredFallback : null;
+  return { primary, fallback };
+};
+
+export const getTransport = (name) => TRANSPORTS[name] || null;
+
+// Transports to try, in order, for a send that may need documents
+const candidates = ({ document = false } = {}) => {
+  const { primary, fallback } = getMessagingConfig();
+  return [primary, fallback]
+    .filter(Boolean)
+    .map(name => TRANSPORTS[name])
+    .filter(transport => !document || transport.supportsDocuments);
+};
+
+export const isAvailable = ({ document = false } = {}) => candidates({ document }).some(transport => transport.isAvailable());
+
+// Send through the first available transport. If it fails because it went down (503) the
+// next one is tried; request errors (bad number, empty message) are returned as they are.
+const deliver = async (send, options) => {
+  const transports = candidates(options);
+  const primaryName = getMessagingConfig().primary;
+  let lastError = null;
+
+  for (const transport of transports) {
+    if (!transport.isAvailable()) continue;
+
+    try {
+      const result = await send(transport);
+      return transport.name === primaryName ? result : { ...result, fallback: true };
+    } catch (error) {
+      lastError = error;
+      if (error.status !== 503 && transport.isAvailable()) throw error;
+      console.warn(`⚠️ ${transport.name} failed (${error.message}), trying the next transport...`);
+    }
+  }
+
+  throw lastError || createError(
+    `No messaging transport is available (${transports.map(transport => transport.name).join(', ') || 'none configured'})`,
+    503
+  );
+};
+
+export const sendMessage = (phoneNumber, message) => {
+  return deliver(transport => transport.sendMessage(phoneNumber, message));
+};
+
+// Send a file such as a receipt PDF; only transports that can carry documents are tried
+export const sendDocument = (phoneNumber, buffer, options = {}) => {
+  return deliver(transport => transport.sendDocument(phoneNumber, buffer, options), { document: true });
+};
+
+export const getMessagingStatus = () => {
+  const { primary, fallback } = getMessagingConfig();
+  return {
+    transport: primary,
+    fallback,
+    available: isAvailable(),
+    active: candidates().find(transport => transport.isAvailable())?.name || null,
+    transports: Object.fromEntries(Object.entries(TRANSPORTS).map(([name, transport]) => [name, {
+      available: transport.isAvailable(),
+      ...transport.getStatus()
+    }]))
+  };
+};
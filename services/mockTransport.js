@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import whatsappService from './whatsappService.js';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Messages kept in memory for inspection
+const MAX_KEPT = 500;
+
+// Outbox file for the mock transport; one JSON line per message
+export const getMockOutboxFile = () => {
+  if (process.env.MOCK_OUTBOX_FILE) return process.env.MOCK_OUTBOX_FILE;
+  const baseDir = process.env.NODE_ENV === 'production' ? '/tmp' : process.cwd();
+  return path.join(baseDir, 'logs', 'outbox.jsonl');
+};
+
+const record = (entry) => {
+  const file = getMockOutboxFile();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.warn(`⚠️ Could not write mock outbox: ${error.message}`);
+  }
+};
+
+// Development/test transport: nothing leaves the machine. Messages are logged to the console,
+// appended to the outbox file and kept in memory (mockTransport.sent, last MAX_KEPT).
+const mockTransport = {
+  name: 'mock',
+  supportsDocuments: true,
+  sent: [],
+
+  isAvailable() {
+    return true;
+  },
+
+  async _deliver(phoneNumber, entry) {
+    const validation = whatsappService.validatePhoneNumber(phoneNumber);
+    if (!validation.isValid) {
+      throw createError(`Phone validation failed: ${validation.error}`, 400);
+    }
+
+    const message = {
+      messageId: `mock-${crypto.randomUUID()}`,
+      to: `+${validation.formattedNumber}`,
+      ...entry,
+      sentAt: new Date().toISOString()
+    };
+
+    this.sent.push(message);
+    if (this.sent.length > MAX_KEPT) this.sent.shift();
+    record(message);
+    console.log(`📭 [mock] ${entry.type} to ${message.to}: ${(entry.body || entry.filename || '').substring(0, 80)}`);
+
+    return {
+      success: true,
+      message: 'Message sent successfully',
+      method: 'mock',
+      phoneNumber: validation.formattedNumber,
+      to: message.to,
+      originalPhone: phoneNumber,
+      messageId: message.messageId,
+      timestamp: Date.now()
+    };
+  },
+
+  async sendMessage(phoneNumber, message) {
+    if (!message || message.trim().length === 0) {
+      throw createError('Message cannot be empty', 400);
+    }
+    return this._deliver(phoneNumber, { type: 'text', body: message });
+  },
+
+  async sendDocument(phoneNumber, buffer, { mimetype = 'application/pdf', filename, caption } = {}) {
+    return this._deliver(phoneNumber, { type: 'document', filename, mimetype, size: buffer.length, body: caption || '' });
+  },
+
+  getStatus() {
+    return { outbox: getMockOutboxFile(), sentCount: this.sent.length };
+  }
+};
+
+export default mockTransport;
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The billing period a customer is currently in: the latest renewal, or null for the initial membership
+export const getCurrentPeriodId = (customer) => {
+  if (!customer.renewalHistory || customer.renewalHistory.length === 0) {
+    return null;
+  }
+
+  const latest = [...customer.renewalHistory]
+    .sort((a, b) => new Date(b.renewalDate) - new Date(a.renewalDate))[0];
+  return latest._id;
+};
+
+// Customers created before the ledger existed only have a paidAmount total.
+// Record it once as an opening payment so recalculating from the ledger doesn't lose it.
+export const ensureOpeningPayment = async (customer) => {
+  if (!customer.paidAmount || customer.paidAmount <= 0) {
+    return null;
+  }
+
+  const periodId = getCurrentPeriodId(customer);
+  const existing = await Payment.exists({ customerId: customer._id, renewalId: periodId });
+  if (existing) {
+    return null;
+  }
+
+  return Payment.create({
+    customerId: customer._id,
+    amount: customer.paidAmount,
+    date: periodId ? customer.lastRenewalDate || new Date() : customer.createdAt || new Date(),
+    method: 'other',
+    note: 'Opening balance (recorded before itemized payments)',
+    renewalId: periodId
+  });
+};
+
+// Derive paidAmount/remaining of a billing period from its valid payments. periodId is the
+// renewalHistory entry (null = initial membership) and defaults to the current period; the
+// customer's own paidAmount/remaining only follow the current period.
+export const recalculateBalance = async (customerId, periodId) => {
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+
+  const currentPeriodId = getCurrentPeriodId(customer);
+  const targetPeriodId = periodId === undefined ? currentPeriodId : periodId;
+  const isCurrent = String(targetPeriodId) === String(currentPeriodId);
+  const renewal = targetPeriodId
+    ? (customer.renewalHistory || []).find(entry => String(entry._id) === String(targetPeriodId))
+    : null;
+
+  // The initial period keeps no figures of its own once the customer has renewed
+  if (!isCurrent && !renewal) {
+    return customer;
+  }
+
+  const [totals] = await Payment.aggregate([
+    {
+      $match: {
+        customerId: new mongoose.Types.ObjectId(String(customer._id)),
+        renewalId: targetPeriodId ? new mongoose.Types.ObjectId(String(targetPeriodId)) : null,
+        status: 'valid'
+      }
+    },
+    { $group: { _id: null, paid: { $sum: '$amount' } } }
+  ]);
+
+  const paidAmount = totals ? totals.paid : 0;
+  const remaining = Customer.balanceDue(renewal ? renewal.fee : customer.fee, paidAmount);
+
+  const update = isCurrent ? { paidAmount, remaining } : {};
+  const filter = { _id: customer._id };
+
+  if (renewal) {
+    filter['renewalHistory._id'] = renewal._id;
+    update['renewalHistory.$.paidAmount'] = paidAmount;
+    update['renewalHistory.$.remaining'] = remaining;
+  }
+
+  return Customer.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Record a single payment transaction against the customer's current period
+export const recordPayment = async (customerId, { amount, method, receivedBy, note, date, renewalId } = {}) => {
+  const parsedAmount = parseFloat(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    throw createError('Amount must be a positive number', 400);
+  }
+
+  if (method && !PAYMENT_METHODS.includes(method)) {
+    throw createError(`Invalid payment method. Allowed: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw createError('Customer not found', 404);
+  }
+
+  await ensureOpeningPayment(customer);
+
+  const payment = await Payment.create({
+    customerId: customer._id,
+    amount: parsedAmount,
+    date: date ? new Date(date) : new Date(),
+    method: method || 'cash',
+    receivedBy: receivedBy || '',
+    note: note || '',
+    renewalId: renewalId !== undefined ? renewalId : getCurrentPeriodId(customer)
+  });
+
+  const updatedCustomer = await recalculateBalance(customer._id, payment.renewalId);
+  return { payment, customer: updatedCustomer };
+};
+
+// Record the amount taken up front when a membership period starts (new customer or renewal).
+// The caller has already stored it as paidAmount, so no recalculation is needed.
+export const recordPeriodPayment = async (customer, renewalId, { amount, method, receivedBy, note } = {}) => {
+  const parsedAmount = parseFloat(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    return null;
+  }
+
+  return Payment.create({
+    customerId: customer._id,
+    amount: parsedAmount,
+    method: PAYMENT_METHODS.includes(method) ? method : 'cash',
+    receivedBy: receivedBy || '',
+    note: note || '',
+    renewalId
+  });
+};
+
+// Void a payment; the record is kept for reconciliation but no longer counts towards the balance
+export const voidPayment = async (paymentId, { reason, voidedBy } = {}) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw createError('Payment not found', 404);
+  }
+
+  if (payment.status === 'voided') {
+    throw createError('Payment is already voided', 400);
+  }
+
+  payment.status = 'voided';
+  payment.voidedAt = new Date();
+  payment.voidedBy = voidedBy || '';
+  payment.voidReason = reason || '';
+  await payment.save();
+
+  const customer = await recalculateBalance(payment.customerId, payment.renewalId);
+  return { payment, customer };
+};
+
+// Correct a payment by voiding it and recording a replacement linked via correctionOf
+export const correctPayment = async (paymentId, changes = {}) => {
+  const original = await Payment.findById(paymentId);
+  if (!original) {
+    throw createError('Payment not found', 404);
+  }
+
+  if (original.status === 'voided') {
+    throw createError('Cannot correct a voided payment', 400);
+  }
+
+  const amount = changes.amount !== undefined ? parseFloat(changes.amount) : original.amount;
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw createError('Amount must be a positive number', 400);
+  }
+
+  const method = changes.method || original.method;
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw createError(`Invalid payment method. Allowed: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  original.status = 'voided';
+  original.voidedAt = new Date();
+  original.voidedBy = changes.correctedBy || '';
+  original.voidReason = changes.reason || 'Corrected';
+  await original.save();
+
+  const replacement = await Payment.create({
+    customerId: original.customerId,
+    amount,
+    date: changes.date ? new Date(changes.date) : original.date,
+    method,
+    receivedBy: changes.receivedBy !== undefined ? changes.receivedBy : original.receivedBy,
+    note: changes.note !== undefined ? changes.note : original.note,
+    renewalId: original.renewalId,
+    correctionOf: original._id
+  });
+
+  const customer = await recalculateBalance(original.customerId, original.renewalId);
+  return { original, payment: replacement, customer };
+};
+
+export const listPayments = async (customerId, { includeVoided = true } = {}) => {
+  const query = { customerId };
+  if (!includeVoided) {
+    query.status = 'valid';
+  }
+
+  return Payment.find(query).sort({ date: -1 });
+};
+
+export { PAYMENT_METHODS };
@@ -0,0 +1,48 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import Plan from '../models/Plan.js';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Expiry date (YYYY-MM-DD) for a period starting on startDate
+export const computeExpiryDate = (startDate, duration, durationType) => {
+  return moment(startDate).add(parseInt(duration), `${durationType}s`).format('YYYY-MM-DD');
+};
+
+// Load an active plan for assigning to a customer
+export const getActivePlan = async (planId) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    throw createError('Invalid plan ID', 400);
+  }
+
+  const plan = await Plan.findById(planId);
+  if (!plan) {
+    throw createError('Plan not found', 404);
+  }
+
+  if (!plan.active) {
+    throw createError(`Plan "${plan.name}" is no longer active`, 400);
+  }
+
+  return plan;
+};
+
+// Membership fields filled in from a plan. Values are copied, so later price
+// changes on the plan never touch customers or renewalHistory already stored.
+export const getPlanTerms = (plan, startDate) => {
+  const start = moment(startDate || undefined).format('YYYY-MM-DD');
+
+  return {
+    planId: plan._id,
+    membership: plan.name,
+    fee: plan.price,
+    duration: plan.duration,
+    durationType: plan.durationType,
+    startDate: start,
+    expiryDate: computeExpiryDate(start, plan.duration, plan.durationType)
+  };
+};
@@ -0,0 +1,110 @@
+import PDFDocument from 'pdfkit';
+import moment from 'moment';
+import Counter from '../models/Counter.js';
+import Receipt from '../models/Receipt.js';
+
+const GYM_NAME = process.env.GYM_NAME || 'AM FITNESS';
+const GYM_ADDRESS = process.env.GYM_ADDRESS || 'China Scheme Block D-1 Lahore';
+const GYM_CONTACT = process.env.GYM_CONTACT || '+92-3214468123';
+
+// Period (start/end dates) a payment or renewal covers
+const getPeriod = (customer, renewalId) => {
+  const renewal = renewalId && customer.renewalHistory
+    ? customer.renewalHistory.find(r => String(r._id) === String(renewalId))
+    : null;
+
+  if (renewal) {
+    return { periodStart: renewal.startDate, periodEnd: renewal.newExpiryDate };
+  }
+  return { periodStart: customer.joinDate, periodEnd: customer.expiryDate };
+};
+
+// Issue a numbered receipt. Numbers come from an atomic counter and are never reused,
+// voided receipts keep their number.
+export const issueReceipt = async ({ type, customer, payment = null, renewalId = null }) => {
+  const receiptNumber = await Counter.next('receipt');
+  const linkedRenewalId = payment ? payment.renewalId : renewalId;
+  const renewal = linkedRenewalId && customer.renewalHistory
+    ? customer.renewalHistory.find(r => String(r._id) === String(linkedRenewalId))
+    : null;
+
+  return Receipt.create({
+    receiptNumber,
+    type,
+    customerId: customer._id,
+    paymentId: payment ? payment._id : null,
+    renewalId: linkedRenewalId,
+    customerName: customer.name,
+    rollNumber: customer.rollNumber,
+    phone: customer.phone,
+    membership: renewal ? renewal.newMembership : customer.membership,
+    ...getPeriod(customer, linkedRenewalId),
+    fee: renewal ? renewal.fee : customer.fee,
+    amount: payment ? payment.amount : (renewal ? renewal.paidAmount : customer.paidAmount),
+    method: payment ? payment.method : '',
+    receivedBy: payment ? payment.receivedBy : '',
+    balance: customer.remaining
+  });
+};
+
+export const voidReceiptsForPayment = async (paymentId) => {
+  return Receipt.updateMany({ paymentId }, { status: 'voided' });
+};
+
+// Build the PDF document for a receipt. The caller pipes it and must call doc.end().
+export const buildReceiptPdf = (receipt) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  const title = receipt.type === 'renewal' ? 'RENEWAL INVOICE' : 'PAYMENT RECEIPT';
+
+  doc.fontSize(18).text(GYM_NAME, { align: 'center' });
+  doc.fontSize(9).text(GYM_ADDRESS, { align: 'center' });
+  doc.text(`Contact: ${GYM_CONTACT}`, { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(13).text(title, { align: 'center', underline: true });
+  if (receipt.status === 'voided') {
+    doc.fillColor('red').fontSize(12).text('VOID', { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown();
+
+  const rows = [
+    ['Receipt No', receipt.receiptCode],
+    ['Date', moment(receipt.issuedAt).format('DD/MM/YYYY HH:mm')],
+    ['Member', receipt.customerName],
+    ['Roll Number', receipt.rollNumber],
+    ['Membership', (receipt.membership || '').toUpperCase()],
+    ['Period', `${moment(receipt.periodStart).format('DD/MM/YYYY')} - ${moment(receipt.periodEnd).format('DD/MM/YYYY')}`],
+    ['Fee', `PKR ${receipt.fee}`],
+    ['Amount Paid', `PKR ${receipt.amount}`],
+    ...(receipt.method ? [['Payment Method', receipt.method.toUpperCase()]] : []),
+    ...(receipt.receivedBy ? [['Received By', receipt.receivedBy]] : []),
+    ['Balance', receipt.balance > 0 ? `PKR ${receipt.balance}` : 'Fully Paid']
+  ];
+
+  doc.fontSize(10);
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, 40, y, { width: 130 });
+    doc.font('Helvetica').text(String(value), 170, y);
+    doc.moveDown(0.4);
+  });
+
+  doc.moveDown(2);
+  doc.fontSize(8).text('This is a computer generated receipt.', 40, doc.y, { align: 'center' });
+
+  return doc;
+};
+
+// Render a receipt PDF into a Buffer (for sending as a WhatsApp document)
+export const renderReceiptPdf = (receipt) => {
+  return new Promise((resolve, reject) => {
+    const doc = buildReceiptPdf(receipt);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+export const getReceiptFilename = (receipt) => `${receipt.receiptCode}.pdf`;
@@ -0,0 +1,165 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import { gymToday } from '../utils/gymDate.js';
+
+export const AGEING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const getBucket = (days) => {
+  if (days <= 30) return '0-30';
+  if (days <= 60) return '31-60';
+  if (days <= 90) return '61-90';
+  return '90+';
+};
+
+const emptyBuckets = () => AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket]: 0 }), {});
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Every billing period of a customer with what was billed and when it fell due.
+// A period falls due when it starts: joinDate for the first membership, startDate for renewals.
+const getBillingPeriods = (customer) => {
+  const renewals = customer.renewalHistory || [];
+  const periods = [{
+    renewalId: null,
+    membership: renewals.length ? renewals[0].previousMembership : customer.membership,
+    dueDate: customer.joinDate,
+    billed: renewals.length ? customer.initialFee : customer.fee,
+    // paidAmount stored before the ledger existed, used when the period has no payments
+    recordedPaid: renewals.length ? null : customer.paidAmount
+  }];
+
+  renewals.forEach((renewal, index) => {
+    const isCurrent = index === renewals.length - 1;
+    periods.push({
+      renewalId: renewal._id,
+      membership: renewal.newMembership,
+      dueDate: renewal.startDate,
+      billed: isCurrent ? customer.fee : renewal.fee,
+      recordedPaid: isCurrent ? customer.paidAmount : renewal.paidAmount
+    });
+  });
+
+  // Legacy customers renewed before initialFee was stored: first period fee unknown
+  return periods.filter(period => period.billed !== null && period.billed !== undefined);
+};
+
+// Outstanding balances of the given customers, split into billing periods and aged by due date
+const ageCustomers = async (customers, asOf) => {
+  const totals = await Payment.aggregate([
+    { $match: { status: 'valid', customerId: { $in: customers.map(c => c._id) } } },
+    { $group: { _id: { customerId: '$customerId', renewalId: '$renewalId' }, paid: { $sum: '$amount' } } }
+  ]);
+  const paidByPeriod = new Map(totals.map(t => [`${t._id.customerId}:${t._id.renewalId}`, t.paid]));
+
+  return customers.map(customer => {
+    const periods = getBillingPeriods(customer)
+      .map(period => {
+        const ledgerPaid = paidByPeriod.get(`${customer._id}:${period.renewalId}`);
+        const paid = ledgerPaid !== undefined ? ledgerPaid : (period.recordedPaid || 0);
+        const outstanding = round(Math.max(0, period.billed - paid));
+        const days = Math.max(0, asOf.diff(moment(period.dueDate).startOf('day'), 'days'));
+
+        return {
+          renewalId: period.renewalId,
+          membership: period.membership,
+          dueDate: period.dueDate,
+          billed: period.billed,
+          paid: round(paid),
+          outstanding,
+          days,
+          bucket: getBucket(days)
+        };
+      })
+      .filter(period => period.outstanding > 0);
+
+    const buckets = emptyBuckets();
+    periods.forEach(period => {
+      buckets[period.bucket] += period.outstanding;
+    });
+
+    return {
+      customerId: customer._id,
+      name: customer.name,
+      rollNumber: customer.rollNumber,
+      phone: customer.phone,
+      membership: customer.membership,
+      status: customer.status,
+      total: round(periods.reduce((sum, period) => sum + period.outstanding, 0)),
+      oldestDueDate: periods.length ? periods[0].dueDate : null,
+      maxDays: periods.reduce((max, period) => Math.max(max, period.days), 0),
+      buckets,
+      periods
+    };
+  }).filter(customer => customer.total > 0);
+};
+
+const CUSTOMER_FIELDS = 'name rollNumber phone membership status joinDate fee initialFee paidAmount renewalHistory';
+
+// Ageing report across all customers, optionally limited to one bucket or membership type
+export const getAgeingReport = async ({ bucket, membership } = {}) => {
+  const asOf = moment(gymToday(), 'YYYY-MM-DD');
+  const customers = await Customer.find({}, CUSTOMER_FIELDS).lean();
+  let aged = await ageCustomers(customers, asOf);
+
+  if (membership) {
+    aged = aged.filter(customer => customer.membership === membership);
+  }
+
+  if (bucket) {
+    aged = aged
+      .map(customer => ({ ...customer, periods: customer.periods.filter(p => p.bucket === bucket) }))
+      .filter(customer => customer.periods.length > 0);
+  }
+
+  const totals = emptyBuckets();
+  const counts = emptyBuckets();
+  const byMembership = {};
+
+  aged.forEach(customer => {
+    customer.periods.forEach(period => {
+      totals[period.bucket] += period.outstanding;
+      counts[period.bucket] += 1;
+
+      if (!byMembership[period.membership]) {
+        byMembership[period.membership] = { membership: period.membership, total: 0, ...emptyBuckets() };
+      }
+      byMembership[period.membership][period.bucket] += period.outstanding;
+      byMembership[period.membership].total += period.outstanding;
+    });
+  });
+
+  const roundBuckets = (values) => Object.fromEntries(Object.entries(values).map(([k, v]) => [k, typeof v === 'number' ? round(v) : v]));
+
+  return {
+    asOf: asOf.format('YYYY-MM-DD'),
+    totalOutstanding: round(Object.values(totals).reduce((sum, amount) => sum + amount, 0)),
+    totals: roundBuckets(totals),
+    counts,
+    byMembership: Object.values(byMembership).map(roundBuckets).sort((a, b) => b.total - a.total),
+    customers: aged.sort((a, b) => b.maxDays - a.maxDays || b.total - a.total)
+  };
+};
+
+// Ageing drill-down for one customer (null when the customer doesn't exist)
+export const getCustomerAgeing = async (customerId) => {
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    return null;
+  }
+
+  const customer = await Customer.findById(customerId, CUSTOMER_FIELDS).lean();
+  if (!customer) {
+    return null;
+  }
+
+  const [aged] = await ageCustomers([customer], moment(gymToday(), 'YYYY-MM-DD'));
+  return aged || {
+    customerId: customer._id,
+    name: customer.name,
+    rollNumber: customer.rollNumber,
+    total: 0,
+    buckets: emptyBuckets(),
+    periods: []
+  };
+};
@@ -0,0 +1,216 @@
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import { GYM_TIMEZONE, gymDateStart } from '../utils/gymDate.js';
+
+const periodKey = (customerId, renewalId) => `${customerId}:${renewalId || 'initial'}`;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// A calendar year at the gym: [start, end) as instants for timestamps and as YYYY-MM-DD for the
+// date strings (joinDate). Months are bucketed in GYM_TIMEZONE, so the edges must be too.
+export const getYearRange = (year) => {
+  const startDate = `${year}-01-01`;
+  const endDate = `${year + 1}-01-01`;
+  return { start: gymDateStart(startDate), end: gymDateStart(endDate), startDate, endDate };
+};
+
+// Everything billed in the range: new memberships by joinDate and renewals by renewalDate.
+// Customers renewed before initialFee existed have no record of their first fee, so for those
+// the first period is billed as what was collected against it.
+const getBillingEvents = async ({ start, end, startDate, endDate }) => {
+  const [initial, renewals] = await Promise.all([
+    Customer.aggregate([
+      { $match: { joinDate: { $gte: startDate, $lt: endDate } } },
+      {
+        $project: {
+          month: { $toInt: { $substrBytes: ['$joinDate', 5, 2] } },
+          plan: {
+            $ifNull: [{ $arrayElemAt: ['$renewalHistory.previousMembership', 0] }, '$membership']
+          },
+          amount: {
+            $ifNull: [
+              '$initialFee',
+              { $cond: [{ $gt: [{ $size: { $ifNull: ['$renewalHistory', []] } }, 0] }, null, '$fee'] }
+            ]
+          }
+        }
+      }
+    ]),
+    Customer.aggregate([
+      { $unwind: '$renewalHistory' },
+      { $match: { 'renewalHistory.renewalDate': { $gte: start, $lt: end } } },
+      {
+        $project: {
+          month: { $month: { date: '$renewalHistory.renewalDate', timezone: GYM_TIMEZONE } },
+          plan: '$renewalHistory.newMembership',
+          amount: '$renewalHistory.fee',
+          renewalId: '$renewalHistory._id'
+        }
+      }
+    ])
+  ]);
+
+  return [
+    ...initial.map(e => ({ ...e, customerId: e._id, renewalId: null, type: 'new' })),
+    ...renewals.map(e => ({ ...e, customerId: e._id, type: 'renewal' }))
+  ];
+};
+
+// Valid payments in [start, end) with the plan of the period they were paid against
+const getCollections = async (start, end) => {
+  return Payment.aggregate([
+    { $match: { status: 'valid', date: { $gte: start, $lt: end } } },
+    {
+      $lookup: {
+        from: Customer.collection.name,
+        localField: 'customerId',
+        foreignField: '_id',
+        as: 'customer',
+        pipeline: [{ $project: { membership: 1, renewalHistory: { _id: 1, newMembership: 1, previousMembership: 1 } } }]
+      }
+    },
+    // Payments of purged customers still count; their plan shows as unknown
+    { $unwind: { path: '$customer', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        customerId: 1,
+        renewalId: 1,
+        amount: 1,
+        method: 1,
+        month: { $month: { date: '$date', timezone: GYM_TIMEZONE } },
+        plan: {
+          $cond: [
+            { $eq: ['$renewalId', null] },
+            { $ifNull: [{ $arrayElemAt: ['$customer.renewalHistory.previousMembership', 0] }, '$customer.membership'] },
+            {
+              $arrayElemAt: [
+                {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: '$customer.renewalHistory',
+                        cond: { $eq: ['$$this._id', '$renewalId'] }
+                      }
+                    },
+                    in: '$$this.newMembership'
+                  }
+                },
+                0
+              ]
+            }
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+// Total ever paid against each billing period (customer + renewal)
+const getPaidByPeriod = async (events) => {
+  if (events.length === 0) return new Map();
+
+  const totals = await Payment.aggregate([
+    { $match: { status: 'valid', customerId: { $in: [...new Set(events.map(e => e.customerId))] } } },
+    { $group: { _id: { customerId: '$customerId', renewalId: '$renewalId' }, paid: { $sum: '$amount' } } }
+  ]);
+
+  return new Map(totals.map(t => [periodKey(t._id.customerId, t._id.renewalId), t.paid]));
+};
+
+const emptyTotals = () => ({ billed: 0, collected: 0, outstanding: 0 });
+
+// Billed vs collected vs outstanding for one calendar year.
+// outstanding belongs to the month a period was billed in; collected to the month the cash came in.
+export const getYearRevenue = async (year) => {
+  const range = getYearRange(year);
+
+  const [events, collections] = await Promise.all([getBillingEvents(range), getCollections(range.start, range.end)]);
+  const paidByPeriod = await getPaidByPeriod(events);
+
+  const months = Array(12).fill(0).map((_, index) => ({
+    month: new Date(year, index).toLocaleString('default', { month: 'long' }),
+    ...emptyTotals()
+  }));
+  const byPlan = {};
+  const byMethod = {};
+  const totals = emptyTotals();
+
+  const planTotals = (plan) => {
+    const name = plan || 'unknown';
+    if (!byPlan[name]) byPlan[name] = { plan: name, ...emptyTotals() };
+    return byPlan[name];
+  };
+
+  events.forEach(event => {
+    const paid = paidByPeriod.get(periodKey(event.customerId, event.renewalId)) || 0;
+    const billed = event.amount === null || event.amount === undefined ? paid : event.amount;
+    const outstanding = Math.max(0, billed - paid);
+
+    [months[event.month - 1], planTotals(event.plan), totals].forEach(target => {
+      target.billed += billed;
+      target.outstanding += outstanding;
+    });
+  });
+
+  collections.forEach(payment => {
+    [months[payment.month - 1], planTotals(payment.plan), totals].forEach(target => {
+      target.collected += payment.amount;
+    });
+    byMethod[payment.method] = (byMethod[payment.method] || 0) + payment.amount;
+  });
+
+  const roundTotals = (t) => ({ ...t, billed: round(t.billed), collected: round(t.collected), outstanding: round(t.outstanding) });
+
+  return {
+    year,
+    totals: roundTotals(totals),
+    months: months.map(roundTotals),
+    byPlan: Object.values(byPlan).map(roundTotals).sort((a, b) => b.billed - a.billed),
+    byMethod: Object.entries(byMethod)
+      .map(([method, collected]) => ({ method, collected: round(collected) }))
+      .sort((a, b) => b.collected - a.collected)
+  };
+};
+
+const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return round(((current - previous) / previous) * 100);
+};
+
+// Year revenue with a comparison against the previous year
+export const getRevenueReport = async (year) => {
+  const [current, previous] = await Promise.all([getYearRevenue(year), getYearRevenue(year - 1)]);
+
+  return {
+    ...current,
+    previousYear: {
+      year: previous.year,
+      totals: previous.totals,
+      months: previous.months
+    },
+    yearOverYear: {
+      billed: percentChange(current.totals.billed, previous.totals.billed),
+      collected: percentChange(current.totals.collected, previous.totals.collected),
+      months: current.months.map((m, index) => ({
+        month: m.month,
+        collected: percentChange(m.collected, previous.months[index].collected)
+      }))
+    }
+  };
+};
+
+// Cash collected in [start, end)
+export const getCollectedTotal = async (start, end) => {
+  const match = { status: 'valid' };
+  if (start || end) {
+    match.date = {};
+    if (start) match.date.$gte = start;
+    if (end) match.date.$lt = end;
+  }
+
+  const [result] = await Payment.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result ? result.total : 0;
+};
@@ -0,0 +1,113 @@
+import Counter from '../models/Counter.js';
+import Customer from '../models/Customer.js';
+
+const COUNTER_NAME = 'rollNumber';
+
+// Roll numbers look like GYM-0001: ROLL_NUMBER_PREFIX followed by the sequence padded to ROLL_NUMBER_DIGITS
+export const getRollNumberFormat = () => ({
+  prefix: process.env.ROLL_NUMBER_PREFIX || 'GYM-',
+  digits: parseInt(process.env.ROLL_NUMBER_DIGITS, 10) || 4
+});
+
+export const formatRollNumber = (sequence) => {
+  const { prefix, digits } = getRollNumberFormat();
+  return `${prefix}${String(sequence).padStart(digits, '0')}`;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Sequence part of a roll number in the configured format (null for anything else)
+export const parseRollNumber = (rollNumber) => {
+  const { prefix } = getRollNumberFormat();
+  const match = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`, 'i').exec(String(rollNumber || '').trim());
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Highest sequence already in use by a customer
+const getHighestSequence = async () => {
+  const { prefix } = getRollNumberFormat();
+  const customers = await Customer.find(
+    { rollNumber: new RegExp(`^${escapeRegex(prefix)}\\d+$`, 'i') },
+    'rollNumber'
+  ).setOptions({ includeArchived: true }).lean();
+
+  return customers.reduce((max, customer) => Math.max(max, parseRollNumber(customer.rollNumber) || 0), 0);
+};
+
+// Move the counter up to the highest roll number in use. $max never lowers it, so this is
+// safe to run at any time, including while customers are being created.
+export const syncRollNumberCounter = async () => {
+  const highest = await getHighestSequence();
+  await Counter.updateOne({ _id: COUNTER_NAME }, { $max: { seq: highest } }, { upsert: true });
+  return highest;
+};
+
+let counterSynced = false;
+
+// Next free roll number. The counter is seeded from existing customers once per process so a
+// database that predates the counter carries on from its highest number.
+export const nextRollNumber = async () => {
+  if (!counterSynced) {
+    await syncRollNumberCounter();
+    counterSynced = true;
+  }
+
+  // Skip numbers taken by hand-entered or imported roll numbers (archived customers keep theirs)
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const rollNumber = formatRollNumber(await Counter.next(COUNTER_NAME));
+    if (!(await Customer.exists({ rollNumber }).setOptions({ includeArchived: true }))) {
+      return rollNumber;
+    }
+  }
+
+  throw new Error('Could not allocate a free roll number');
+};
+
+// Report on existing roll numbers: gaps in the sequence, numbers that collide once case and
+// zero padding are ignored (GYM-7 / gym-0007), numbers outside the configured format, and
+// whether the counter is behind the highest number in use.
+export const auditRollNumbers = async () => {
+  const customers = await Customer.find({}, 'rollNumber name createdAt')
+    .setOptions({ includeArchived: true })
+    .sort({ createdAt: 1 })
+    .lean();
+  const counter = await Counter.findById(COUNTER_NAME).lean();
+
+  const bySequence = new Map();
+  const nonConforming = [];
+
+  customers.forEach(customer => {
+    const sequence = parseRollNumber(customer.rollNumber);
+    if (sequence === null) {
+      nonConforming.push({ customerId: customer._id, rollNumber: customer.rollNumber, name: customer.name });
+      return;
+    }
+    if (!bySequence.has(sequence)) bySequence.set(sequence, []);
+    bySequence.get(sequence).push({ customerId: customer._id, rollNumber: customer.rollNumber, name: customer.name });
+  });
+
+  const highest = bySequence.size ? Math.max(...bySequence.keys()) : 0;
+
+  const gaps = [];
+  for (let sequence = 1; sequence <= highest; sequence++) {
+    if (!bySequence.has(sequence)) gaps.push(formatRollNumber(sequence));
+  }
+
+  const collisions = [...bySequence.entries()]
+    .filter(([, entries]) => entries.length > 1)
+    .map(([sequence, entries]) => ({ rollNumber: formatRollNumber(sequence), customers: entries }));
+
+  const counterValue = counter ? counter.seq : 0;
+
+  return {
+    format: getRollNumberFormat(),
+    totalCustomers: customers.length,
+    highest: highest ? formatRollNumber(highest) : null,
+    counter: counterValue,
+    counterBehind: counterValue < highest,
+    nextRollNumber: formatRollNumber(Math.max(counterValue, highest) + 1),
+    gaps,
+    collisions,
+    nonConforming
+  };
+};
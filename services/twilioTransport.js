@@ -0,0 +1,101 @@
+import twilio from 'twilio';
+import whatsappService from './whatsappService.js';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Twilio settings, read when used so .env changes apply without touching imports:
+//   TWILIO_SID, TWILIO_AUTH_TOKEN   account credentials
+//   TWILIO_CHANNEL                  'whatsapp' (default) or 'sms'
+//   TWILIO_WHATSAPP_FROM            sender for WhatsApp, e.g. +14155238886 (the sandbox number)
+//   TWILIO_SMS_FROM                 sender for SMS
+export const getTwilioConfig = () => {
+  const channel = process.env.TWILIO_CHANNEL === 'sms' ? 'sms' : 'whatsapp';
+  return {
+    accountSid: process.env.TWILIO_SID || '',
+    authToken: process.env.TWILIO_AUTH_TOKEN || '',
+    channel,
+    from: (channel === 'sms' ? process.env.TWILIO_SMS_FROM : process.env.TWILIO_WHATSAPP_FROM) || ''
+  };
+};
+
+let client = null;
+let clientSid = null;
+
+const getClient = () => {
+  const { accountSid, authToken } = getTwilioConfig();
+  if (!client || clientSid !== accountSid) {
+    client = twilio(accountSid, authToken);
+    clientSid = accountSid;
+  }
+  return client;
+};
+
+const address = (channel, number) => channel === 'whatsapp' ? `whatsapp:${number}` : number;
+
+// Twilio WhatsApp / SMS. Twilio only sends media from a public URL, so documents are not supported.
+const twilioTransport = {
+  name: 'twilio',
+  supportsDocuments: false,
+
+  isAvailable() {
+    const { accountSid, authToken, from } = getTwilioConfig();
+    return Boolean(accountSid && authToken && from);
+  },
+
+  async sendMessage(phoneNumber, message) {
+    if (!this.isAvailable()) {
+      throw createError('Twilio is not configured. Set TWILIO_SID, TWILIO_AUTH_TOKEN and a sender number.', 503);
+    }
+
+    if (!message || message.trim().length === 0) {
+      throw createError('Message cannot be empty', 400);
+    }
+
+    const validation = whatsappService.validatePhoneNumber(phoneNumber);
+    if (!validation.isValid) {
+      throw createError(`Phone validation failed: ${validation.error}`, 400);
+    }
+
+    const { channel, from } = getTwilioConfig();
+    const to = `+${validation.formattedNumber}`;
+
+    try {
+      const response = await getClient().messages.create({
+        from: address(channel, from.startsWith('+') ? from : `+${from}`),
+        to: address(channel, to),
+        body: message
+      });
+
+      console.log(`✅ Twilio ${channel} message sent to ${to}`);
+      return {
+        success: true,
+        message: 'Message sent successfully',
+        method: `twilio_${channel}`,
+        phoneNumber: validation.formattedNumber,
+        to,
+        originalPhone: phoneNumber,
+        messageId: response.sid,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      // Twilio's 4xx answers are about the request (bad number, unverified sandbox recipient, ...)
+      const status = error.status >= 400 && error.status < 500 && error.status !== 401 ? 400 : 503;
+      throw createError(`Twilio send failed: ${error.message}`, status);
+    }
+  },
+
+  async sendDocument() {
+    throw createError('Sending documents is not supported over Twilio', 501);
+  },
+
+  getStatus() {
+    const { channel, from } = getTwilioConfig();
+    return { configured: this.isAvailable(), channel, from: from || null };
+  }
+};
+
+export default twilioTransport;
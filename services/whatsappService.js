@@ -1,21 +1,36 @@
 import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
+const { Client, LocalAuth, MessageMedia } = pkg;
 import qrcode from 'qrcode';
 import fs from 'fs';
-import path from 'path';
 
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The one WhatsApp Web session of the app. Routes, controllers and jobs all send through this
+// singleton, so there is a single connection and a single status to check.
 class WhatsAppService {
   constructor() {
     this.client = null;
     this.isReady = false;
     this.qrCode = null;
     this.status = 'disconnected';
+    this.clientInfo = null;
     this.initializationPromise = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 3;
+    // Incoming message and receipt listeners; kept here so they survive client re-creation
+    this.messageHandlers = [];
+    this.ackHandlers = [];
   }
 
   async initialize() {
+    if (this.isReady) {
+      return true;
+    }
+
     if (this.initializationPromise) {
       return this.initializationPromise;
     }
@@ -30,7 +45,8 @@ class WhatsAppService {
       await this._cleanup();
 
       console.log('🚀 Initializing WhatsApp client...');
-      
+      this.status = 'initializing';
+
       // Create auth directory if it doesn't exist
       const authPath = './whatsapp-auth';
       if (!fs.existsSync(authPath)) {
@@ -38,8 +54,8 @@ class WhatsAppService {
       }
 
       this.client = new Client({
-        authStrategy: new LocalAuth({ 
-          name: 'gym-management-session',
+        authStrategy: new LocalAuth({
+          clientId: 'gym-management-client',
           dataPath: authPath
         }),
         puppeteer: {
@@ -123,10 +139,12 @@ class WhatsAppService {
     });
 
     this.client.on('ready', () => {
-      console.log('✅ WhatsApp is ready!');
+      const info = this.client.info;
+      console.log(`✅ WhatsApp is ready! Connected as: ${info?.pushname} (${info?.wid?.user})`);
       this.isReady = true;
       this.status = 'connected';
       this.qrCode = null;
+      this.clientInfo = info ? { name: info.pushname, number: info.wid.user } : null;
       this.reconnectAttempts = 0;
     });
 
@@ -146,9 +164,30 @@ class WhatsAppService {
       this.isReady = false;
       this.status = 'disconnected';
       this.qrCode = null;
+      this.clientInfo = null;
       this.initializationPromise = null;
     });
 
+    this.client.on('message', async (message) => {
+      for (const handler of this.messageHandlers) {
+        try {
+          await handler(message);
+        } catch (error) {
+          console.error('WhatsApp message handler error:', error);
+        }
+      }
+    });
+
+    this.client.on('message_ack', async (message, ack) => {
+      for (const handler of this.ackHandlers) {
+        try {
+          await handler(message, ack);
+        } catch (error) {
+          console.error('WhatsApp ack handler error:', error);
+        }
+      }
+    });
+
     this.client.on('loading_screen', (percent, message) => {
       console.log(`Loading: ${percent}% - ${message}`);
     });
@@ -266,27 +305,52 @@ class WhatsAppService {
     };
   }
 
-  async sendMessage(phoneNumber, message) {
+  // Register a listener for incoming messages (e.g. verification code replies)
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  // Register a listener for delivery/read receipts: handler(message, ack)
+  onMessageAck(handler) {
+    this.ackHandlers.push(handler);
+  }
+
+  _assertReady() {
     if (!this.client) {
-      throw new Error('WhatsApp client is not initialized. Please initialize first.');
+      throw createError('WhatsApp client is not initialized. Please initialize first.', 503);
     }
 
     if (!this.isReady) {
-      throw new Error('WhatsApp is not ready. Please scan the QR code or wait for connection.');
-    }
-
-    if (!message || message.trim().length === 0) {
-      throw new Error('Message cannot be empty');
+      throw createError('WhatsApp is not ready. Please scan the QR code or wait for connection.', 503);
     }
+  }
 
-    // Validate phone number
+  // Validated number and the chat ID WhatsApp knows it by; errors carry an HTTP status
+  async _resolveRecipient(phoneNumber) {
     const validation = this.validatePhoneNumber(phoneNumber);
     if (!validation.isValid) {
-      throw new Error(`Phone validation failed: ${validation.error}`);
+      throw createError(`Phone validation failed: ${validation.error}`, 400);
     }
 
-    const { formattedNumber, chatId } = validation;
-    console.log(`📤 Sending message to: ${chatId} (original: ${phoneNumber})`);
+    const numberId = await this.client.getNumberId(validation.chatId);
+    if (!numberId) {
+      throw createError(`Phone number +${validation.formattedNumber} is not registered on WhatsApp`, 400);
+    }
+
+    return { formattedNumber: validation.formattedNumber, chatId: numberId._serialized || validation.chatId };
+  }
+
+  // Send text, or a MessageMedia with sendMessage options (caption, sendMediaAsDocument)
+  async sendMessage(phoneNumber, message, options = {}) {
+    this._assertReady();
+
+    const isMedia = message instanceof MessageMedia;
+    if (!isMedia && (!message || message.trim().length === 0)) {
+      throw createError('Message cannot be empty', 400);
+    }
+
+    const { formattedNumber, chatId } = await this._resolveRecipient(phoneNumber);
+    console.log(`📤 Sending ${isMedia ? 'document' : 'message'} to: ${chatId} (original: ${phoneNumber})`);
 
     const maxRetries = 3;
     let retryCount = 0;
@@ -298,15 +362,17 @@ class WhatsAppService {
           throw new Error('WhatsApp client is not ready');
         }
 
-        const response = await this._sendMessageWithRetry(chatId, message, 2);
+        const response = await this._sendMessageWithRetry(chatId, message, options, 2);
         
         console.log(`✅ Message sent successfully to ${phoneNumber}`);
         return { 
           success: true, 
           message: 'Message sent successfully',
+          method: 'whatsapp_web',
           phoneNumber: formattedNumber,
+          to: `+${formattedNumber}`,
           originalPhone: phoneNumber,
-          messageId: response.id?.id || 'unknown',
+          messageId: response.id?.id || null,
           timestamp: response.timestamp || Date.now()
         };
 
@@ -317,7 +383,7 @@ class WhatsAppService {
         console.error(`❌ Error sending message (attempt ${retryCount}/${maxRetries}):`, error.message);
         
         if (error.message.includes('phone number is not registered')) {
-          throw new Error(`Phone number ${phoneNumber} is not registered on WhatsApp`);
+          throw createError(`Phone number ${phoneNumber} is not registered on WhatsApp`, 400);
         }
         
         if (error.message.includes('Rate limit')) {
@@ -327,6 +393,7 @@ class WhatsAppService {
             await this._delay(delay);
             continue;
           }
+          throw createError('Rate limit exceeded. Please wait before sending another message.', 429);
         }
         
         if (error.message.includes('Protocol error') || 
@@ -347,14 +414,14 @@ class WhatsAppService {
     throw new Error(`Failed to send message after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
   }
 
-  async _sendMessageWithRetry(chatId, message, maxRetries = 2) {
+  async _sendMessageWithRetry(chatId, message, options = {}, maxRetries = 2) {
     for (let i = 0; i < maxRetries; i++) {
       try {
         if (!this.client || !this.isReady) {
           throw new Error('Client not ready');
         }
 
-        const response = await this.client.sendMessage(chatId, message);
+        const response = await this.client.sendMessage(chatId, message, options);
         return response;
         
       } catch (error) {
@@ -369,6 +436,12 @@ class WhatsAppService {
     }
   }
 
+  // Send a file (e.g. a receipt PDF) as a WhatsApp document
+  async sendDocument(phoneNumber, buffer, { mimetype = 'application/pdf', filename, caption } = {}) {
+    const media = new MessageMedia(mimetype, buffer.toString('base64'), filename);
+    return this.sendMessage(phoneNumber, media, { sendMediaAsDocument: true, caption });
+  }
+
   async disconnect() {
     try {
       this.reconnectAttempts = this.maxReconnectAttempts;
@@ -381,6 +454,7 @@ class WhatsAppService {
       this.isReady = false;
       this.status = 'disconnected';
       this.qrCode = null;
+      this.clientInfo = null;
       this.initializationPromise = null;
       this.reconnectAttempts = 0;
     }
@@ -390,7 +464,10 @@ class WhatsAppService {
     return {
       status: this.status,
       isReady: this.isReady,
+      method: this.isReady ? 'whatsapp_web' : 'none',
+      provider: this.isReady ? 'whatsapp_web' : 'none',
       qrCode: this.qrCode,
+      clientInfo: this.clientInfo,
       reconnectAttempts: this.reconnectAttempts
     };
   }
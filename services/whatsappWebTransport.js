@@ -0,0 +1,25 @@
+import whatsappService from './whatsappService.js';
+
+// WhatsApp Web session (whatsapp-web.js) as a messaging transport
+const whatsappWebTransport = {
+  name: 'whatsapp_web',
+  supportsDocuments: true,
+
+  isAvailable() {
+    return whatsappService.isReady;
+  },
+
+  sendMessage(phoneNumber, message) {
+    return whatsappService.sendMessage(phoneNumber, message);
+  },
+
+  sendDocument(phoneNumber, buffer, options) {
+    return whatsappService.sendDocument(phoneNumber, buffer, options);
+  },
+
+  getStatus() {
+    return whatsappService.getStatus();
+  }
+};
+
+export default whatsappWebTransport;
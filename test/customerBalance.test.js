@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Customer from '../models/Customer.js';
+
+const newCustomer = (fields) => new Customer({
+  name: 'Test Member',
+  phone: '03001234567',
+  rollNumber: 'T-1',
+  joinDate: '2026-01-01',
+  expiryDate: '2026-02-01',
+  membership: 'monthly',
+  ...fields
+});
+
+test('balanceDue never goes below zero', () => {
+  assert.equal(Customer.balanceDue(1000, 400), 600);
+  assert.equal(Customer.balanceDue(1000, 1000), 0);
+  assert.equal(Customer.balanceDue(1000, 1500), 0);
+  assert.equal(Customer.balanceDue(undefined, undefined), 0);
+});
+
+test('a new customer who paid more than the fee owes nothing', async () => {
+  const customer = newCustomer({ fee: 1000, paidAmount: 1500 });
+  await customer.validate();
+  assert.equal(customer.remaining, 0);
+});
+
+test('a new customer owes the unpaid part of the fee', async () => {
+  const customer = newCustomer({ fee: 1000, paidAmount: 250 });
+  await customer.validate();
+  assert.equal(customer.remaining, 750);
+});
+
+test('lowering the fee below what was paid clamps remaining', async () => {
+  const customer = newCustomer({ fee: 1000, paidAmount: 800 });
+  await customer.validate();
+  assert.equal(customer.remaining, 200);
+
+  customer.fee = 500;
+  await customer.validate();
+  assert.equal(customer.remaining, 0);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertNotFrozen, getFreezeCredit, getUsedFreezeDays } from '../services/freezeService.js';
+
+const member = (fields) => ({
+  status: 'active',
+  joinDate: '2026-01-01',
+  renewalHistory: [],
+  freezePeriods: [],
+  ...fields
+});
+
+test('renewing a frozen membership is rejected until it is unfrozen', () => {
+  assert.throws(
+    () => assertNotFrozen(member({ status: 'frozen' }), 'renewing'),
+    error => error.status === 400 && /unfreeze it before renewing/.test(error.message)
+  );
+});
+
+test('renewing an active, expired or inactive membership is allowed', () => {
+  ['active', 'expired', 'inactive'].forEach(status => {
+    assert.doesNotThrow(() => assertNotFrozen(member({ status }), 'renewing'));
+  });
+});
+
+test('all frozen days are credited within the allowance', () => {
+  const openPeriod = { startDate: new Date('2026-03-01T10:00:00') };
+  const credit = getFreezeCredit(member(), openPeriod, 30, new Date('2026-03-11T09:00:00'));
+  assert.deepEqual(credit, { frozenDays: 10, creditedDays: 10 });
+});
+
+test('credit is capped at the allowance left this period', () => {
+  const customer = member({
+    freezePeriods: [
+      { startDate: new Date('2026-02-01T10:00:00'), endDate: new Date('2026-02-21T10:00:00'), creditedDays: 20 }
+    ]
+  });
+  const openPeriod = { startDate: new Date('2026-03-01T10:00:00') };
+
+  assert.equal(getUsedFreezeDays(customer), 20);
+  assert.deepEqual(getFreezeCredit(customer, openPeriod, 30, new Date('2026-03-16T10:00:00')), { frozenDays: 15, creditedDays: 10 });
+});
+
+test('nothing is credited once the allowance is used up', () => {
+  const customer = member({
+    freezePeriods: [
+      { startDate: new Date('2026-02-01T10:00:00'), endDate: new Date('2026-03-03T10:00:00'), creditedDays: 30 }
+    ]
+  });
+  const openPeriod = { startDate: new Date('2026-03-05T10:00:00') };
+
+  assert.deepEqual(getFreezeCredit(customer, openPeriod, 30, new Date('2026-03-10T10:00:00')), { frozenDays: 5, creditedDays: 0 });
+});
+
+test('freezes from before the latest renewal do not count against the allowance', () => {
+  const customer = member({
+    renewalHistory: [{ renewalDate: new Date('2026-03-01T10:00:00'), startDate: '2026-03-01' }],
+    freezePeriods: [
+      { startDate: new Date('2026-01-10T10:00:00'), endDate: new Date('2026-02-09T10:00:00'), creditedDays: 30 }
+    ]
+  });
+  const openPeriod = { startDate: new Date('2026-03-05T10:00:00') };
+
+  assert.deepEqual(getFreezeCredit(customer, openPeriod, 30, new Date('2026-03-12T10:00:00')), { frozenDays: 7, creditedDays: 7 });
+});
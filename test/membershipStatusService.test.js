@@ -0,0 +1,28 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpiryCutoff, refreshCustomerStatus } from '../services/membershipStatusService.js';
+import { gymToday, addDays } from '../utils/gymDate.js';
+
+afterEach(() => {
+  delete process.env.EXPIRY_GRACE_DAYS;
+});
+
+test('memberships expire the day after expiryDate at the gym', () => {
+  assert.equal(getExpiryCutoff(), gymToday());
+});
+
+test('the grace period moves the cutoff back', () => {
+  process.env.EXPIRY_GRACE_DAYS = '3';
+  assert.equal(getExpiryCutoff(), addDays(gymToday(), -3));
+});
+
+test('members still within their membership or grace period are left alone', async () => {
+  process.env.EXPIRY_GRACE_DAYS = '3';
+  const customer = { status: 'active', expiryDate: addDays(gymToday(), -2) };
+  assert.equal(await refreshCustomerStatus(customer), customer);
+});
+
+test('only active memberships are expired', async () => {
+  const frozen = { status: 'frozen', expiryDate: addDays(gymToday(), -30) };
+  assert.equal(await refreshCustomerStatus(frozen), frozen);
+});
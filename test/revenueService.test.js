@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getYearRange } from '../services/revenueService.js';
+
+// Payments are stored as UTC instants; the gym (Asia/Karachi) is UTC+5
+const inRange = ({ start, end }, date) => date >= start && date < end;
+
+test('a year starts and ends at midnight in the gym timezone', () => {
+  const range = getYearRange(2026);
+  assert.equal(range.start.toISOString(), '2025-12-31T19:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-12-31T19:00:00.000Z');
+  assert.equal(range.startDate, '2026-01-01');
+  assert.equal(range.endDate, '2027-01-01');
+});
+
+test('a payment in the early hours of 1 January belongs to the new year', () => {
+  const payment = new Date('2025-12-31T21:00:00Z'); // 02:00 on 1 Jan 2026 at the gym
+  assert.equal(inRange(getYearRange(2026), payment), true);
+  assert.equal(inRange(getYearRange(2025), payment), false);
+});
+
+test('a payment late on 31 December stays in its year', () => {
+  const payment = new Date('2026-12-31T18:30:00Z'); // 23:30 on 31 Dec 2026 at the gym
+  assert.equal(inRange(getYearRange(2026), payment), true);
+  assert.equal(inRange(getYearRange(2027), payment), false);
+});
+
+test('consecutive years meet without a gap or overlap', () => {
+  assert.equal(getYearRange(2025).end.getTime(), getYearRange(2026).start.getTime());
+});
@@ -0,0 +1,65 @@
+import moment from 'moment';
+
+export const GYM_TIMEZONE = process.env.GYM_TIMEZONE || 'Asia/Karachi';
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Calendar date (YYYY-MM-DD) in the gym's timezone. Servers run in UTC on Vercel, where
+// toISOString() still shows yesterday for the first hours of the gym's day.
+export const gymToday = (date = new Date()) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: GYM_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Day of week (0-6) and HH:mm at the gym
+export const getGymClock = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: GYM_TIMEZONE,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    day: DAY_NAMES.indexOf(get('weekday')),
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+// YYYY-MM-DD days after (or before, if negative) a YYYY-MM-DD date
+export const addDays = (dateString, days) => moment(dateString, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+
+// Minutes the gym's timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: GYM_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return Math.round((wallClock - date.getTime()) / 60000);
+};
+
+// Instant of a wall-clock time at the gym, given as a Date whose UTC fields hold that time
+// (e.g. moment.utc('2024-03-01 18:30', 'YYYY-MM-DD HH:mm').toDate() for 18:30 at the gym)
+export const fromGymWallClock = (wallClock) => {
+  return new Date(wallClock.getTime() - getOffsetMinutes(wallClock) * 60000);
+};
+
+// Instant a YYYY-MM-DD date starts at the gym (local midnight)
+export const gymDateStart = (dateString) => fromGymWallClock(moment.utc(dateString, 'YYYY-MM-DD').toDate());
+
+// Instant the gym's current day started
+export const gymStartOfDay = (date = new Date()) => gymDateStart(gymToday(date));
@@ -0,0 +1,18 @@
+const ACTIONS = ['allow', 'warn', 'deny'];
+
+const rule = (extraFields = {}) => ({
+  type: 'object',
+  fields: {
+    action: { type: 'string', enum: ACTIONS },
+    ...extraFields
+  }
+});
+
+// Only the rules and settings sent are changed
+export const updateAccessPolicySchema = {
+  expired: rule(),
+  inactive: rule(),
+  frozen: rule(),
+  balance: rule({ threshold: { type: 'number', min: 0 } }),
+  timeWindow: rule()
+};
@@ -0,0 +1,7 @@
+export const markAttendanceSchema = {
+  customerId: { type: 'objectId', required: true }
+};
+
+export const scanAttendanceSchema = {
+  token: { type: 'string', required: true, maxLength: 200 }
+};
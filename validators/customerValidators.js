@@ -0,0 +1,84 @@
+import Payment from '../models/Payment.js';
+import whatsappService from '../services/whatsappService.js';
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Phone numbers have to be reachable on WhatsApp for reminders and receipts
+const checkPhone = (phone) => {
+  const validation = whatsappService.validatePhoneNumber(phone);
+  return validation.isValid ? null : validation.error;
+};
+
+const emergencyContact = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', maxLength: 100 },
+    phone: { type: 'string', maxLength: 20 }
+  }
+};
+
+// A planId fills in membership, fee and expiry from the plan catalogue
+const withoutPlan = (body) => !body.planId;
+
+// Never writable through the generic customer endpoints. paidAmount only changes through the
+// payment ledger (payment/renew endpoints), apart from the opening payment on create. status
+// only changes through freeze/unfreeze, renew and the expiry job, which keep statusHistory,
+// freeze periods and expiryDate consistent with it.
+export const PROTECTED_CUSTOMER_FIELDS = [
+  'rollNumber', 'status', 'renewalHistory', 'totalRenewals', 'lastRenewalDate', 'statusHistory',
+  'freezePeriods', 'initialFee', 'paidAmount', 'remaining', 'archived', 'deletedAt', 'deletedBy'
+];
+
+export const PROTECTED_NEW_CUSTOMER_FIELDS = PROTECTED_CUSTOMER_FIELDS.filter(field => field !== 'paidAmount');
+
+export const createCustomerSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'string', required: true, check: checkPhone },
+  email: { type: 'string', pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+  address: { type: 'string', maxLength: 300 },
+  joinDate: { type: 'date', required: withoutPlan },
+  expiryDate: { type: 'date', required: withoutPlan },
+  membership: { type: 'string', required: withoutPlan },
+  planId: { type: 'objectId' },
+  fee: { type: 'number', min: 0, required: withoutPlan },
+  paidAmount: { type: 'number', min: 0, default: 0 },
+  paymentMethod: { type: 'string', enum: PAYMENT_METHODS },
+  emergencyContact
+};
+
+export const updateCustomerSchema = {
+  name: { type: 'string', maxLength: 100 },
+  phone: { type: 'string', check: checkPhone },
+  email: { type: 'string', pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+  address: { type: 'string', maxLength: 300 },
+  joinDate: { type: 'date' },
+  expiryDate: { type: 'date' },
+  membership: { type: 'string' },
+  fee: { type: 'number', min: 0 },
+  emergencyContact
+};
+
+export const renewCustomerSchema = {
+  planId: { type: 'objectId' },
+  membership: { type: 'string', required: withoutPlan },
+  fee: { type: 'number', min: 0, required: withoutPlan },
+  startDate: { type: 'date', required: withoutPlan },
+  expiryDate: { type: 'date', required: withoutPlan },
+  duration: { type: 'number', integer: true, min: 1, required: withoutPlan },
+  durationType: { type: 'string', enum: ['day', 'month', 'year'], required: withoutPlan },
+  paidAmount: { type: 'number', min: 0, default: 0 },
+  paymentMethod: { type: 'string', enum: PAYMENT_METHODS }
+};
+
+export const recordPaymentSchema = {
+  amount: { type: 'number', required: true, check: amount => (amount > 0 ? null : 'must be more than 0') },
+  method: { type: 'string', enum: PAYMENT_METHODS },
+  note: { type: 'string', maxLength: 300 },
+  date: { type: 'date', keepTime: true }
+};
+
+export const freezeSchema = {
+  reason: { type: 'string', maxLength: 300 }
+};
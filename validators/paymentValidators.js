@@ -0,0 +1,16 @@
+import Payment from '../models/Payment.js';
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+export const voidPaymentSchema = {
+  reason: { type: 'string', maxLength: 300 }
+};
+
+export const correctPaymentSchema = {
+  amount: { type: 'number', check: amount => (amount > 0 ? null : 'must be more than 0') },
+  method: { type: 'string', enum: PAYMENT_METHODS },
+  date: { type: 'date', keepTime: true },
+  receivedBy: { type: 'string', maxLength: 100 },
+  note: { type: 'string', maxLength: 300 },
+  reason: { type: 'string', maxLength: 300 }
+};
@@ -0,0 +1,35 @@
+import { TIME_PATTERN } from '../models/Plan.js';
+
+const time = { type: 'string', pattern: TIME_PATTERN, patternMessage: 'must be a time (HH:mm)', default: '' };
+
+// Replaced as a whole on update, so missing parts reset to "no restriction"
+const accessRules = {
+  type: 'object',
+  fields: {
+    allowedDays: { type: 'array', items: { type: 'number', integer: true, min: 0, max: 6 }, default: [] },
+    startTime: time,
+    endTime: time
+  }
+};
+
+export const createPlanSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  price: { type: 'number', required: true, min: 0 },
+  duration: { type: 'number', required: true, integer: true, min: 1 },
+  durationType: { type: 'string', required: true, enum: ['day', 'month', 'year'] },
+  accessRules,
+  maxFreezeDays: { type: 'number', integer: true, min: 0 },
+  active: { type: 'boolean', strict: true }
+};
+
+export const updatePlanSchema = {
+  name: { type: 'string', maxLength: 100 },
+  description: { type: 'string', maxLength: 500 },
+  price: { type: 'number', min: 0 },
+  duration: { type: 'number', integer: true, min: 1 },
+  durationType: { type: 'string', enum: ['day', 'month', 'year'] },
+  accessRules,
+  maxFreezeDays: { type: 'number', integer: true, min: 0 },
+  active: { type: 'boolean', strict: true }
+};
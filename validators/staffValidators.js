@@ -0,0 +1,34 @@
+import { STAFF_ROLES } from '../models/Staff.js';
+import { MIN_PASSWORD_LENGTH } from '../services/authService.js';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+
+// Passwords are taken as typed, spaces included
+const password = {
+  type: 'string',
+  trim: false,
+  maxLength: 200,
+  check: value => (value.length >= MIN_PASSWORD_LENGTH ? null : `must be at least ${MIN_PASSWORD_LENGTH} characters`)
+};
+
+export const createStaffSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  username: {
+    type: 'string',
+    required: true,
+    maxLength: 50,
+    pattern: USERNAME_PATTERN,
+    patternMessage: 'may only contain letters, numbers, dots, dashes and underscores'
+  },
+  password: { ...password, required: true },
+  role: { type: 'string', required: true, enum: STAFF_ROLES }
+};
+
+// Usernames are fixed once created
+export const updateStaffSchema = {
+  name: { type: 'string', maxLength: 100 },
+  role: { type: 'string', enum: STAFF_ROLES },
+  // Strict so that e.g. 0 or "false" can't get past the last-owner check
+  active: { type: 'boolean', strict: true },
+  password
+};